@@ -4,82 +4,272 @@
 const inquirer = require("inquirer");
 const shell = require("shelljs");
 const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  loadConfig,
+  getPreset,
+  saveLastRun,
+  savePreset,
+} = require("./lib/config");
+const { createRecorder, formatPlan } = require("./lib/recorder");
+const { createTransaction } = require("./lib/rollback");
+const {
+  DEFAULT_TEMPLATE,
+  registerTemplates,
+  templateChoices,
+  parseTemplateSource,
+  absoluteTemplatePath,
+  fetchTemplate,
+  requiredFiles,
+} = require("./lib/templates");
+const { cacheRoot, listCache, clearCache } = require("./lib/cache");
+const { runChecks, checkNode, missingRequired, formatReport } = require("./lib/doctor");
+const {
+  TAILWIND_PACKAGES,
+  featureNames,
+  featureFor,
+  readProjectState,
+  missingPieces,
+} = require("./lib/features");
+const {
+  commandUsage,
+  closestMatch,
+  formatHelp,
+  formatCommandHelp,
+} = require("./lib/commands");
+const {
+  TEMPLATE_RECORD,
+  templateSha,
+  readTemplateRecord,
+  writeTemplateRecord,
+  templateChanges,
+  mergeTemplateChanges,
+  formatSummary,
+} = require("./lib/update");
+const { logger, LOG_FILENAME } = require("./lib/logger");
+const { version } = require("./package.json");
+const { createPipeline } = require("./lib/steps");
+const { loadPlugins } = require("./lib/plugins");
+const {
+  editNuxtConfig,
+  addToList,
+  removeFromList,
+  setDefault,
+  setValue,
+  removeKey,
+  fromEnv,
+  parseNuxtConfig,
+  runtimeConfigEnvNames,
+} = require("./lib/nuxt-config");
+const { DEPLOY_TARGETS, deployConfig } = require("./lib/deploy");
+const { CI_WORKFLOW_FILE, ciWorkflow } = require("./lib/ci");
+const { licenseNames, licenseSpdx, renderLicense } = require("./lib/licenses");
+const { renderReadme, projectMetadata } = require("./lib/readme");
+const { parseTopics, parseBranchName, parseCollaborators } = require("./lib/github");
+const {
+  GITLAB_URL,
+  gitHostNames,
+  gitHostFor,
+  parseHostUrl,
+  parseRemoteUrl,
+} = require("./lib/git-hosts");
+const {
+  ENV_FILE,
+  ENV_EXAMPLE_FILE,
+  parseEnv,
+  addEnvVariables,
+  ensureGitignored,
+  parseVariableNames,
+} = require("./lib/env");
+const {
+  PACKAGE_MANAGERS,
+  packageManagerNames,
+  pmCommand,
+  detectPackageManager,
+  mismatchedLockfiles,
+} = require("./lib/package-managers");
+const {
+  MANIFEST_FILENAME,
+  loadManifest,
+  manifestQuestions,
+  renderPlaceholders,
+  filesToDelete,
+  commandsToRun,
+} = require("./lib/manifest");
+const {
+  JOURNAL_FILENAME,
+  createJournal,
+  readJournal,
+  writeJournal,
+  removeJournal,
+} = require("./lib/journal");
 
 // Export all functions we want to test
 module.exports = {
-  checkNodeVersion,
   checkSupabaseCLI,
-  checkGitHubCLI,
+  checkDocker,
+  parseArgs,
+  validateAnswers,
+  applyDefaults,
+  mergeAnswers,
   promptUser,
   cloneTemplateRepo,
+  applyTemplateManifest,
   updatePackageJson,
+  writeLicenseFile,
   setupTailwind,
+  setupNuxtUi,
   updateNuxtConfig,
+  updateFeatures,
+  setupSupabase,
+  setupDeployTarget,
+  writeCiWorkflow,
+  writeEnvFiles,
   initGitRepo,
-  createGitHubRepo,
+  repoSlug,
+  createRepo,
+  configureRepo,
+  protectBranch,
+  deleteRepo,
+  setRepoSecrets,
+  writeProjectMetadata,
   commitAndPush,
+  commitChanges,
+  choosePackageManager,
+  pushToRemote,
   openInEditor,
   installDependencies,
-  main
+  excludeFromGit,
+  loadPipeline,
+  runSetup,
+  handleFailure,
+  presetCommand,
+  resumeCommand,
+  cacheCommand,
+  doctorCommand,
+  addCommand,
+  updateCommand,
+  main,
+  cli
 };
 
-// Function to check Node.js version
-async function checkNodeVersion() {
-  try {
-    const nodeVersion = shell.exec("node -v", { silent: true }).stdout;
-    const versionNumber = parseFloat(nodeVersion.replace("v", ""));
-    if (versionNumber < 18.0) {
-      shell.echo(
-        `🚨 Oops! Your Node.js version is not correct. We expected a version above 18.0.0 but got ${nodeVersion} 🙀`
-      );
-      shell.echo(
-        "👩‍🔧 If you have nvm installed, you can fix this with the command:"
-      );
-      shell.echo("nvm use 18.17.1 🚀");
-    }
-  } catch (error) {
-    shell.echo("🚨 Error occurred while checking Node.js version:", error);
-  }
-}
-
-// Function to check if Supabase CLI is installed
-async function checkSupabaseCLI() {
+// Function to check if Supabase CLI is installed. With `warnOnly` (dry runs) it
+// warns about a missing CLI instead of reporting an error.
+async function checkSupabaseCLI({ warnOnly = false } = {}) {
+  const report = warnOnly ? logger.warn : logger.error;
   try {
     if (!shell.which("supabase")) {
-      shell.echo(
+      report(
         "🚨 Oops! Supabase CLI not found. Please install it first. 🛠️"
       );
-      shell.echo("👩‍🔧 You can install it with the command:");
-      shell.echo("npm install -g supabase 🚀");
+      report("👩‍🔧 You can install it with the command:");
+      report("npm install -g supabase 🚀");
+      return false;
     }
+    return true;
   } catch (error) {
-    shell.echo("🚨 Error occurred while checking Supabase CLI:", error);
+    logger.error("🚨 Error occurred while checking Supabase CLI:", error);
+    return false;
   }
 }
 
-// Function to check if GitHub CLI is installed
-async function checkGitHubCLI() {
+// Function to check Docker is installed and running, which local Supabase needs.
+// `warnOnly` works as for checkSupabaseCLI.
+async function checkDocker({ warnOnly = false } = {}) {
+  const report = warnOnly ? logger.warn : logger.error;
   try {
-    if (!shell.which("gh")) {
-      shell.echo("🚨 Oops! GitHub CLI not found. Please install it first. 🛠️");
-      shell.echo("👩‍🔧 You can install it with the command:");
-      shell.echo("brew install gh 🚀");
+    if (!shell.which("docker")) {
+      report("🚨 Oops! Docker not found. Local Supabase runs in Docker. 🐳");
+      report("👩‍🔧 Install Docker Desktop from https://docs.docker.com/get-docker/ or choose a hosted project.");
+      return false;
     }
+    if (shell.exec("docker info", { silent: true }).code !== 0) {
+      report("🚨 Oops! Docker is installed but isn't running 😿 Start it and try again.");
+      return false;
+    }
+    return true;
   } catch (error) {
-    shell.echo("🚨 Error occurred while checking GitHub CLI:", error);
+    logger.error("🚨 Error occurred while checking Docker:", error);
+    return false;
   }
 }
 
-// Function to prompt user for input
-async function promptUser() {
-  try {
-    const answers = await inquirer.prompt([
+// The built-in setup steps, in the order they run. Each step declares the
+// prompts it needs, an optional when(answers), run(ctx) and optional undo(ctx);
+// plugins add their own steps in the same shape (see lib/plugins.js).
+// The ids are recorded in the journal, so `resume` can skip whatever already finished.
+const builtinSteps = [
+  {
+    id: "clone",
+    title: "Clone the template",
+    prompts: [
       {
         type: "input",
         name: "projectName",
         message: "🚀 What is the name of the project?",
         default: "my-nuxt-project",
+        validate: (value) =>
+          isValidProjectName(value) ||
+          "Project name may only contain letters, numbers, dots, dashes and underscores",
+      },
+      {
+        type: "list",
+        name: "template",
+        message: "🧩 Which template would you like to start from?",
+        // A function so templates added in .room302rc.json show up too
+        choices: () => templateChoices(),
+        default: DEFAULT_TEMPLATE,
+      },
+    ],
+    run: async ({ answers, options, projectDir, transaction }) => {
+      // Templates are copied into the directory as it is, and git-init replaces its
+      // .git, so a directory with anything in it would lose its files and history
+      if (fs.existsSync(projectDir) && fs.readdirSync(projectDir).length > 0) {
+        logger.error(`🚨 ${projectDir} already exists and isn't empty. Choose another project name, or move it out of the way.`);
+        return false;
+      }
+      // Never register deleting a directory that was there before we started,
+      // and register it before cloning so a half-finished clone is cleaned up too
+      if (!fs.existsSync(projectDir)) {
+        const startDir = process.cwd();
+        transaction.register(`Delete the cloned directory ${answers.projectName}`, () => {
+          shell.cd(startDir);
+          shell.rm("-rf", projectDir);
+        });
+      }
+      if (!(await cloneTemplateRepo(answers.projectName, answers.template, options))) return false;
+      warnAboutNodeVersion(projectDir);
+      logger.info("📂 Setting up project structure...");
+      return true;
+    },
+  },
+  {
+    id: "template-manifest",
+    title: `Apply the template's ${MANIFEST_FILENAME}`,
+    run: ({ answers, options, transaction }) => applyTemplateManifest(answers, options, transaction),
+  },
+  {
+    id: "package-manager",
+    title: "Choose the package manager",
+    prompts: [
+      {
+        type: "list",
+        name: "packageManager",
+        message: "📦 Which package manager would you like to use?",
+        choices: [
+          { name: "Detect it from the template", value: "auto" },
+          ...packageManagerNames(),
+        ],
+        default: "auto",
       },
+    ],
+    run: ({ answers, transaction }) => choosePackageManager(answers, transaction),
+  },
+  {
+    id: "nuxt-config",
+    title: "Configure the UI framework and features",
+    prompts: [
       {
         type: "list",
         name: "uiFramework",
@@ -93,393 +283,2387 @@ async function promptUser() {
       },
       {
         type: "confirm",
-        name: "isRepoPublic",
-        message: "🚀 Do you want to make the GitHub repository public?",
-        default: true,
+        name: "useContent",
+        message: "📚 Do you want to use Nuxt Content for Markdown pages?",
+        default: false,
+      },
+      {
+        type: "confirm",
+        name: "useOpenAi",
+        message: "🤖 Will this project use OpenAI?",
+        default: false,
       },
+    ],
+    run: async ({ answers, transaction }) => {
+      transaction.snapshotFiles("Restore the template's config files", [
+        "nuxt.config.ts",
+        "package.json",
+        "tailwind.config.js",
+        "postcss.config.js",
+        "assets/css/tailwind.css",
+        CONTENT_SAMPLE,
+        ...OPENAI_COMPOSABLES,
+      ]);
+      return (
+        (await updateNuxtConfig(answers.uiFramework, answers.packageManager)) &&
+        updateFeatures(answers, answers.packageManager)
+      );
+    },
+  },
+  {
+    id: "package-json",
+    title: "Update package.json and LICENSE",
+    prompts: [
       {
         type: "list",
         name: "license",
         message: "📝 Please choose the license for your project:",
-        choices: ["mit", "UNLICENSED", "ecl-2.0", "CC-BY-4.0", "proprietary"],
+        choices: licenseNames(),
         default: "mit",
       },
+      {
+        type: "input",
+        name: "copyrightHolder",
+        message: "©️  Who holds the copyright?",
+        // Your git user.name. Empty when it isn't set, so --yes never has to ask;
+        // the LICENSE then names the project's authors.
+        default: () => gitUserName() || "",
+      },
+    ],
+    run: async ({ answers, transaction }) => {
+      transaction.snapshotFiles("Restore package.json and LICENSE", ["package.json", "LICENSE"]);
+      return (
+        (await updatePackageJson(answers.projectName, answers.license, answers.uiFramework === "nuxt-ui")) &&
+        writeLicenseFile(answers.license, answers.copyrightHolder || `The ${answers.projectName} authors`)
+      );
+    },
+  },
+  {
+    id: "supabase",
+    title: "Set up Supabase",
+    prompts: [
+      {
+        type: "list",
+        name: "supabase",
+        message: "🗄️  Do you want to set up Supabase?",
+        choices: [
+          { name: "No", value: "none" },
+          { name: "Yes, with a hosted project on supabase.com", value: "hosted" },
+          { name: "Yes, running locally (needs Docker)", value: "local" },
+        ],
+        default: "none",
+      },
+    ],
+    when: (answers) => Boolean(answers.supabase) && answers.supabase !== "none",
+    run: ({ answers, options, projectDir, transaction }) => {
+      const supabaseDir = path.join(projectDir, "supabase");
+      if (!fs.existsSync(supabaseDir)) {
+        transaction.register("Delete the supabase directory", () => shell.rm("-rf", supabaseDir));
+      }
+      transaction.snapshotFiles("Restore the files Supabase changed", ["nuxt.config.ts", "package.json"]);
+      return setupSupabase(answers.supabase, answers.packageManager, { dryRun: options.dryRun });
+    },
+  },
+  {
+    id: "install",
+    title: "Install dependencies",
+    // Before the workflows are written and the initial commit, so a lockfile the
+    // install creates is cached and frozen to in CI, and committed
+    run: ({ answers }) => installDependencies(answers.packageManager),
+  },
+  {
+    id: "deploy-target",
+    title: "Configure the deploy target",
+    prompts: [
+      {
+        type: "list",
+        name: "deployTarget",
+        message: "🌍 Where will the site be deployed?",
+        choices: [
+          ...Object.entries(DEPLOY_TARGETS).map(([value, { label }]) => ({ name: label, value })),
+          { name: "Nowhere yet", value: "none" },
+        ],
+        default: "none",
+      },
+    ],
+    when: (answers) => Boolean(answers.deployTarget) && answers.deployTarget !== "none",
+    run: ({ answers, transaction }) => {
+      transaction.snapshotFiles("Restore the deploy config", [
+        "nuxt.config.ts",
+        DEPLOY_TARGETS[answers.deployTarget].file,
+      ]);
+      return setupDeployTarget(answers.deployTarget, answers.packageManager, answers.projectName, {
+        defaultBranch: answers.defaultBranch,
+        ci: answers.ci,
+      });
+    },
+  },
+  {
+    id: "env-files",
+    title: `Write ${ENV_FILE} and ${ENV_EXAMPLE_FILE}`,
+    run: ({ answers, transaction }) => {
+      transaction.snapshotFiles("Restore the env files", [ENV_FILE, ENV_EXAMPLE_FILE, ".gitignore"]);
+      return writeEnvFiles(answers);
+    },
+  },
+  {
+    id: "git-init",
+    title: "Initialize git",
+    prompts: [
+      {
+        type: "input",
+        name: "defaultBranch",
+        message: "🌿 Name of the default branch:",
+        default: "main",
+        validate: validateWith(parseBranchName),
+      },
+    ],
+    run: async ({ answers }) => (await initGitRepo(answers.defaultBranch)) && excludeFromGit(JOURNAL_FILENAME),
+  },
+  {
+    id: "github-repo",
+    title: "Create the repository",
+    needsNetwork: true,
+    prompts: [
+      {
+        type: "list",
+        name: "gitHost",
+        message: "🏠 Where should the repository live?",
+        // GitHub Pages deploys need the repository on GitHub
+        choices: (answers = {}) => [
+          { name: "GitHub", value: "github" },
+          ...(answers.deployTarget === "github-pages"
+            ? []
+            : [
+              { name: "GitLab", value: "gitlab" },
+              { name: "Gitea", value: "gitea" },
+              { name: "An existing git remote (URL)", value: "remote" },
+            ]),
+        ],
+        default: "github",
+      },
+      {
+        type: "input",
+        name: "gitHostUrl",
+        message: "🌐 Address of the server:",
+        default: (answers) => (answers.gitHost === "gitlab" ? GITLAB_URL : undefined),
+        when: (answers) => answers.gitHost === "gitlab" || answers.gitHost === "gitea",
+        validate: validateWith(parseHostUrl),
+      },
+      {
+        type: "input",
+        name: "remoteUrl",
+        message: "🔗 URL of the remote to push to:",
+        when: (answers) => answers.gitHost === "remote",
+        validate: validateWith(parseRemoteUrl),
+      },
+      {
+        type: "confirm",
+        name: "isRepoPublic",
+        message: "🚀 Do you want to make the repository public?",
+        default: true,
+        when: (answers) => answers.gitHost !== "remote",
+      },
       {
         type: "list",
         name: "githubOrg",
-        message: "🏢 Choose the GitHub organization for the project:",
+        message: "🏢 Choose the organization (or group) for the project:",
         choices: ["personal", "room302studio", "other"],
         default: "personal",
+        when: (answers) => answers.gitHost !== "remote",
       },
       {
         type: "input",
         name: "customGithubOrg",
-        message: "🏢 Enter the name of your GitHub organization:",
-        when: (answers) => answers.githubOrg === "other",
+        message: "🏢 Enter the name of your organization (or group):",
+        when: (answers) => answers.gitHost !== "remote" && answers.githubOrg === "other",
+      },
+      {
+        type: "input",
+        name: "topics",
+        message: "🏷️  Topics for the repository (comma-separated):",
+        default: "",
+        when: (answers) => answers.gitHost !== "remote",
+        validate: validateWith(parseTopics),
+      },
+      {
+        type: "input",
+        name: "collaborators",
+        message: "👥 Who else gets access? (comma-separated usernames or @teams, optionally :permission)",
+        default: "",
+        when: (answers) => gitHostFor(answers.gitHost).collaborators && answers.githubOrg !== "personal",
+        validate: validateWith(parseCollaborators),
+      },
+      {
+        type: "confirm",
+        name: "hasIssues",
+        message: "🐛 Enable issues?",
+        default: true,
+        when: (answers) => answers.gitHost !== "remote",
+      },
+      {
+        type: "confirm",
+        name: "hasWiki",
+        message: "📚 Enable the wiki?",
+        default: false,
+        when: (answers) => answers.gitHost !== "remote",
+      },
+      {
+        type: "confirm",
+        name: "hasDiscussions",
+        message: "💬 Enable discussions?",
+        default: false,
+        when: (answers) => gitHostFor(answers.gitHost).discussions,
+      },
+    ],
+    // createRepo registers deleting the repository as soon as it exists, so a
+    // failure adding the remote still rolls it back
+    run: ({ answers, transaction }) => createRepo(answers, transaction),
+  },
+  {
+    id: "repo-settings",
+    title: "Apply the repository settings",
+    needsNetwork: true,
+    // Its own step, so `resume` after a failed setting doesn't create the repository again
+    when: (answers) => answers.gitHost !== "remote",
+    run: ({ answers }) => configureRepo(answers),
+  },
+  {
+    id: "ci-workflow",
+    title: "Write the CI workflow",
+    prompts: [
+      {
+        type: "confirm",
+        name: "ci",
+        message: "🤖 Add a GitHub Actions CI workflow (checks, Supabase migrations and deploys)?",
+        default: true,
+        // Asked after the git host, since GitHub Actions only runs on GitHub
+        when: (answers) => answers.gitHost === "github",
+      },
+    ],
+    when: (answers) => answers.ci && answers.gitHost === "github",
+    run: ({ answers, transaction }) => {
+      transaction.snapshotFiles("Restore the CI workflow", [CI_WORKFLOW_FILE]);
+      return writeCiWorkflow(answers);
+    },
+  },
+  {
+    id: "github-secrets",
+    title: "Set the CI secrets",
+    needsNetwork: true,
+    prompts: [
+      {
+        type: "input",
+        name: "githubSecrets",
+        message: "🔐 Which variables should also be CI secrets? (comma-separated, values come from your environment)",
+        default: "",
+        // GitHub secrets or GitLab CI/CD variables
+        when: (answers) => ["github", "gitlab"].includes(answers.gitHost || "github"),
+        validate: validateWith(parseVariableNames),
+      },
+    ],
+    when: (answers) => parseVariableNames(answers.githubSecrets).length > 0,
+    // Deleting the repository on rollback deletes its secrets too
+    run: ({ answers }) => setRepoSecrets(parseVariableNames(answers.githubSecrets), answers),
+  },
+  {
+    id: "project-metadata",
+    title: "Write README.md and the package.json metadata",
+    prompts: [
+      {
+        type: "input",
+        name: "description",
+        message: "✏️  Describe the project in a sentence:",
+        default: "",
+      },
+      {
+        type: "input",
+        name: "author",
+        message: "👤 Who is the author?",
+        // Your git user.name and user.email, when they are set. Empty otherwise,
+        // which leaves the package.json author out.
+        default: () => gitAuthor() || "",
+      },
+      {
+        type: "input",
+        name: "homepage",
+        message: "🏠 Homepage URL (leave empty to use the repository's README):",
+        default: "",
       },
+    ],
+    // After the repository exists, so its URL can go in package.json
+    run: ({ answers, options, transaction }) => {
+      transaction.snapshotFiles("Restore README.md and package.json", ["README.md", "package.json"]);
+      return writeProjectMetadata(answers, { offline: options.offline });
+    },
+  },
+  {
+    id: "commit",
+    title: "Make the initial commit",
+    prompts: [
       {
         type: "confirm",
         name: "autoCommitPush",
         message: "🚀 Do you want to automatically commit and push the changes?",
         default: true,
       },
-    ]);
-    return answers;
-  } catch (error) {
-    shell.echo("🚨 Error occurred while prompting for user input:", error);
-    process.exit(1);
-  }
-}
+    ],
+    when: (answers) => answers.autoCommitPush,
+    run: () => commitChanges(),
+  },
+  {
+    id: "push",
+    title: "Push to the remote",
+    needsNetwork: true,
+    when: (answers) => answers.autoCommitPush,
+    run: ({ answers }) => pushToRemote(answers.defaultBranch),
+  },
+  {
+    id: "branch-protection",
+    title: "Protect the default branch",
+    needsNetwork: true,
+    prompts: [
+      {
+        type: "confirm",
+        name: "protectBranch",
+        message: "🛡️  Protect the default branch (pull requests with one approval, no force pushes)?",
+        default: false,
+        when: (answers) => answers.gitHost !== "remote",
+      },
+    ],
+    // A branch can only be protected once it has been pushed
+    when: (answers) => answers.autoCommitPush && answers.protectBranch,
+    run: ({ answers }) => protectBranch(answers),
+  },
+  {
+    id: "editor",
+    title: "Open in your editor",
+    // Not being able to open an editor shouldn't fail the run
+    run: async () => {
+      await openInEditor();
+      return true;
+    },
+  },
+];
 
-// Function to clone the template repo
-async function cloneTemplateRepo(projectName) {
-  try {
-    shell.echo("🚀 Let's clone the template repo... 🎉");
-    
-    // First verify the template repo exists
-    const repoCheck = shell.exec(
-      'gh repo view room302studio/nuxt-template --json name,html_url',
-      { silent: true }
-    );
-    
-    if (repoCheck.code !== 0) {
-      shell.echo("🚨 Template repository not accessible. Please check https://github.com/room302studio/nuxt-template");
-      process.exit(1);
-    }
+// Files the feature toggles add or remove
+const CONTENT_SAMPLE = "content/index.md";
+const OPENAI_COMPOSABLES = ["composables/useOpenAi.js", "composables/useOpenAi.ts"];
 
-    const cloneOutput = shell.exec(
-      `gh repo clone room302studio/nuxt-template ${projectName}`,
-      { silent: true }
-    );
-    
-    if (cloneOutput.code !== 0) {
-      shell.echo("🚨 Oops! Git clone failed 😿");
-      process.exit(1);
-    }
+// Variables the features need besides the template's runtimeConfig, with the
+// placeholder written to .env and .env.example
+const FEATURE_ENV_VARIABLES = [
+  {
+    comment: "Supabase",
+    when: (answers) => answers.supabase === "hosted",
+    variables: { SUPABASE_URL: "https://your-project-ref.supabase.co", SUPABASE_KEY: "your-anon-key" },
+  },
+  {
+    comment: "Supabase (`supabase start` prints the anon key)",
+    when: (answers) => answers.supabase === "local",
+    variables: { SUPABASE_URL: "http://127.0.0.1:54321", SUPABASE_KEY: "" },
+  },
+  {
+    comment: "OpenAI",
+    when: (answers) => answers.useOpenAi === true,
+    variables: { OPENAI_API_KEY: "" },
+  },
+];
 
-    // Verify essential files exist
-    const essentialFiles = [
-      'nuxt.config.ts',
-      'package.json',
-      'tailwind.config.js',
-      'app.vue'
-    ];
+// Questions asked by promptUser for the built-in steps, also used to resolve CLI flags
+const questions = createPipeline(builtinSteps).questions();
 
-    shell.cd(projectName);
-    const missingFiles = essentialFiles.filter(file => !fs.existsSync(file));
+// CLI flags mapped to the question they answer. Flags with a fixed `value`
+// are switches, the rest take the next argument (or `--flag=value`).
+const cliFlags = {
+  "--name": { name: "projectName" },
+  "--template": { name: "template" },
+  "--ui": { name: "uiFramework" },
+  "--content": { name: "useContent", value: true },
+  "--no-content": { name: "useContent", value: false },
+  "--openai": { name: "useOpenAi", value: true },
+  "--no-openai": { name: "useOpenAi", value: false },
+  "--public": { name: "isRepoPublic", value: true },
+  "--private": { name: "isRepoPublic", value: false },
+  "--license": { name: "license" },
+  "--copyright": { name: "copyrightHolder" },
+  "--description": { name: "description" },
+  "--author": { name: "author" },
+  "--homepage": { name: "homepage" },
+  "--org": { name: "githubOrg" },
+  "--custom-org": { name: "customGithubOrg" },
+  "--pm": { name: "packageManager" },
+  "--supabase": { name: "supabase" },
+  "--deploy": { name: "deployTarget" },
+  "--secrets": { name: "githubSecrets" },
+  "--host": { name: "gitHost" },
+  "--host-url": { name: "gitHostUrl" },
+  "--remote": { name: "remoteUrl" },
+  "--branch": { name: "defaultBranch" },
+  "--topics": { name: "topics" },
+  "--collaborators": { name: "collaborators" },
+  "--issues": { name: "hasIssues", value: true },
+  "--no-issues": { name: "hasIssues", value: false },
+  "--wiki": { name: "hasWiki", value: true },
+  "--no-wiki": { name: "hasWiki", value: false },
+  "--discussions": { name: "hasDiscussions", value: true },
+  "--no-discussions": { name: "hasDiscussions", value: false },
+  "--protect": { name: "protectBranch", value: true },
+  "--no-protect": { name: "protectBranch", value: false },
+  "--package-manager": { name: "packageManager" },
+  "--ci": { name: "ci", value: true },
+  "--no-ci": { name: "ci", value: false },
+  "--push": { name: "autoCommitPush", value: true },
+  "--no-push": { name: "autoCommitPush", value: false },
+};
 
-    if (missingFiles.length > 0) {
-      shell.echo(`🚨 Template repository is missing essential files: ${missingFiles.join(', ')}`);
-      process.exit(1);
+// Function to turn a parser that throws into an inquirer validate function
+function validateWith(parse) {
+  return (value) => {
+    try {
+      parse(value);
+      return true;
+    } catch (error) {
+      return error.message;
     }
+  };
+}
 
-    shell.echo("🎉 Hooray! Successfully cloned the template repo 🚀");
-  } catch (error) {
-    shell.echo("🚨 Error occurred while cloning the template repo:", error);
-    process.exit(1);
-  }
+// Function to check a project name is safe to use as a directory and repo name
+function isValidProjectName(name) {
+  return typeof name === "string" && /^[\w.-]+$/.test(name);
 }
 
-// Function to update package.json
-async function updatePackageJson(projectName, license, useNuxtUi) {
-  try {
-    shell.echo("📝 Updating package.json...");
-    const packageJson = JSON.parse(fs.readFileSync("package.json", "utf8"));
-    packageJson.name = projectName;
-    packageJson.license = license;
-    if (!useNuxtUi) {
-      delete packageJson.dependencies["@nuxt/ui"];
-    }
-    fs.writeFileSync("package.json", JSON.stringify(packageJson, null, 2));
-    shell.echo("✅ Package.json updated successfully!");
-  } catch (error) {
-    shell.echo("🚨 Error occurred while updating package.json:", error);
-  }
+// Function to get the allowed values of a list question
+function choiceValues(question) {
+  const choices = typeof question.choices === "function" ? question.choices() : question.choices;
+  return choices.map((choice) =>
+    typeof choice === "object" ? choice.value : choice
+  );
 }
 
-// Function to set up Tailwind CSS
-async function setupTailwind() {
-  try {
-    shell.echo("🎨 Setting up Tailwind CSS...");
-    
-    // Install required dependencies
-    if (shell.exec("yarn add -D tailwindcss postcss autoprefixer").code !== 0) {
-      shell.echo("🚨 Failed to install Tailwind dependencies");
-      return;
+// Function to parse command-line arguments into answers and options
+function parseArgs(argv) {
+  const options = {
+    answers: {},
+    yes: false,
+    dryRun: false,
+    keepOnFailure: false,
+    offline: false,
+    preset: null,
+    positional: [],
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith("-")) {
+      options.positional.push(arg);
+      continue;
     }
 
-    // Check for existing tailwind.config.js
-    if (fs.existsSync("tailwind.config.js")) {
-      // Modify existing config to remove @nuxt/ui specific settings
-      let existingConfig = fs.readFileSync("tailwind.config.js", "utf8");
-      existingConfig = existingConfig
-        .replace(/@nuxt\/ui/g, '')  // Remove @nuxt/ui references
-        .replace(/,\s*\n\s*\n/g, '\n'); // Clean up empty lines
-      
-      fs.writeFileSync("tailwind.config.js", existingConfig);
-    } else {
-      // Create new tailwind.config.js if it doesn't exist
-      const tailwindConfig = `/** @type {import('tailwindcss').Config} */
-export default {
-  content: [
-    "./components/**/*.{js,vue,ts}",
-    "./layouts/**/*.vue",
-    "./pages/**/*.vue",
-    "./plugins/**/*.{js,ts}",
-    "./app.vue",
-  ],
-  theme: {
-    extend: {},
-  },
-  plugins: [],
-}`;
-      fs.writeFileSync("tailwind.config.js", tailwindConfig);
+    if (arg === "--yes" || arg === "-y") {
+      options.yes = true;
+      continue;
     }
 
-    // Check for existing postcss.config.js
-    if (!fs.existsSync("postcss.config.js")) {
-      const postcssConfig = `export default {
-  plugins: {
-    tailwindcss: {},
-    autoprefixer: {},
-  },
-}`;
-      fs.writeFileSync("postcss.config.js", postcssConfig);
+    if (arg === "--dry-run") {
+      options.dryRun = true;
+      continue;
     }
 
-    // Check for existing tailwind.css
-    const tailwindCSSPath = "assets/css/tailwind.css";
-    if (!fs.existsSync(tailwindCSSPath)) {
-      if (!fs.existsSync("assets/css")) {
-        shell.mkdir("-p", "assets/css");
-      }
-      
-      const tailwindCSS = `@tailwind base;
-@tailwind components;
-@tailwind utilities;`;
-      fs.writeFileSync(tailwindCSSPath, tailwindCSS);
+    if (arg === "--keep-on-failure") {
+      options.keepOnFailure = true;
+      continue;
     }
 
-    // Update nuxt.config.ts to include Tailwind if not already included
-    let nuxtConfig = fs.readFileSync("nuxt.config.ts", "utf8");
-    if (!nuxtConfig.includes("assets/css/tailwind.css")) {
-      nuxtConfig = nuxtConfig.replace(
-        "export default defineNuxtConfig({",
-        `export default defineNuxtConfig({
-  css: ['~/assets/css/tailwind.css'],`
-      );
-      fs.writeFileSync("nuxt.config.ts", nuxtConfig);
+    if (arg === "--offline") {
+      options.offline = true;
+      continue;
     }
 
-    shell.echo("✅ Tailwind CSS setup complete!");
-  } catch (error) {
-    shell.echo("🚨 Error occurred while setting up Tailwind:", error);
-  }
-}
+    const [flag, inlineValue] = arg.split(/=(.*)/s);
 
-// Function to update nuxt.config.ts
-async function updateNuxtConfig(uiFramework) {
-  try {
-    shell.echo("🎨 Configuring UI framework...");
-    let nuxtConfig = fs.readFileSync("nuxt.config.ts", "utf8");
-    
-    // Handle UI framework selection
-    switch (uiFramework) {
-      case 'none':
-        shell.echo("🧹 Removing UI frameworks for a clean slate...");
-        nuxtConfig = nuxtConfig.replace("'@nuxt/ui',", "");
-        break;
-      
-      case 'tailwind':
-        shell.echo("🎭 Setting up lightweight Tailwind configuration...");
-        nuxtConfig = nuxtConfig.replace("'@nuxt/ui',", "");
-        await setupTailwind();
-        break;
-      
-      case 'nuxt-ui':
-        shell.echo("✨ Keeping @nuxt/ui configuration...");
-        break;
-    }
-    
-    // Update package.json based on UI selection
-    const packageJson = JSON.parse(fs.readFileSync("package.json", "utf8"));
-    if (uiFramework !== 'nuxt-ui') {
-      delete packageJson.dependencies["@nuxt/ui"];
+    // Answers to questions from the template's room302.json: --set name=value
+    if (flag === "--set") {
+      const pair = inlineValue !== undefined ? inlineValue : argv[++i];
+      const match = /^([A-Za-z_]\w*)=(.*)$/s.exec(pair || "");
+      if (!match) {
+        throw new Error("Option --set expects name=value");
+      }
+      const value = match[2] === "true" ? true : match[2] === "false" ? false : match[2];
+      options.answers.templateAnswers = { ...options.answers.templateAnswers, [match[1]]: value };
+      continue;
     }
-    fs.writeFileSync("package.json", JSON.stringify(packageJson, null, 2));
-    fs.writeFileSync("nuxt.config.ts", nuxtConfig);
-    shell.echo("✅ UI framework configuration complete!");
-  } catch (error) {
-    shell.echo("🚨 Error occurred while updating nuxt.config.ts:", error);
-  }
-}
 
-// Function to initialize a new git repo
-async function initGitRepo() {
-  try {
-    shell.echo("🌱 Initializing fresh Git repository...");
-    if (shell.exec("rm -rf .git").code !== 0) {
-      shell.echo("🚨 Oops! Failed to remove existing git repo 😿");
-    }
-    if (shell.exec("git init").code !== 0) {
-      shell.echo("🚨 Oops! Git init failed 😿");
+    if (flag === "--preset") {
+      options.preset = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (!options.preset) {
+        throw new Error("Option --preset requires a value");
+      }
+      continue;
     }
-    shell.echo("✅ Git repository initialized!");
-  } catch (error) {
-    shell.echo("🚨 Error occurred while initializing a new git repo:", error);
-  }
-}
 
-// Function to create a new GitHub repository
-async function createGitHubRepo(projectName, isRepoPublic, githubOrg, customGithubOrg) {
-  try {
-    shell.echo("🏗️  Creating GitHub repository...");
-    const repoVisibility = isRepoPublic ? "public" : "private";
-    let githubOrgName = "";
-    if (githubOrg === "personal") {
-      shell.echo("🏠 Creating in your personal GitHub account...");
-      githubOrgName = "";
-    } else if (githubOrg === "room302studio") {
-      shell.echo("🏢 Creating in Room302 Studio organization...");
-      githubOrgName = "room302studio/";
-    } else {
-      shell.echo(`🏢 Creating in ${customGithubOrg} organization...`);
-      githubOrgName = `${customGithubOrg}/`;
-    }
-    if (shell.exec(`gh repo create ${githubOrgName}${projectName} --${repoVisibility} --source=${shell.pwd()}`).code !== 0) {
-      shell.echo("🚨 Oops! Failed to create GitHub repository 😿");
-    } else {
-      shell.echo("✅ GitHub repository created successfully!");
+    const spec = cliFlags[flag];
+    if (!spec) {
+      const suggestion = closestMatch(flag, Object.keys(cliFlags));
+      throw new Error(`Unknown option: ${flag}${suggestion ? `. Did you mean ${suggestion}?` : ""}`);
     }
-  } catch (error) {
-    shell.echo("🚨 Error occurred while creating GitHub repository:", error);
-  }
-}
 
-// Function to commit and push changes
-async function commitAndPush(autoCommitPush) {
-  try {
-    if (autoCommitPush) {
-      shell.echo("🌿 Preparing initial commit...");
-      if (shell.exec("git add .").code !== 0) {
-        shell.echo("🚨 Oops! Git add failed 😿");
-      }
-      if (shell.exec(`git commit -m "feat: begin project 🪴"`).code !== 0) {
-        shell.echo("🚨 Oops! Git commit failed 😿");
-      }
-      shell.echo("🚀 Pushing to GitHub...");
-      if (shell.exec("git push -u origin main").code !== 0) {
-        shell.echo("🚨 Oops! Git push failed 😿");
-      } else {
-        shell.echo("✅ Changes pushed to GitHub successfully!");
+    if ("value" in spec) {
+      if (inlineValue !== undefined) {
+        throw new Error(`Option ${flag} does not take a value`);
       }
+      options.answers[spec.name] = spec.value;
+      continue;
     }
-  } catch (error) {
-    shell.echo("🚨 Error occurred while committing and pushing changes:", error);
-  }
-}
 
-// Function to open the cloned repo in the code editor
-async function openInEditor() {
-  try {
-    if (shell.exec("code .").code !== 0) {
-      shell.echo("🚨 Oops! Tried and failed to open the repo in VSCode 😿");
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined || value === "") {
+      throw new Error(`Option ${flag} requires a value`);
     }
-  } catch (error) {
-    shell.echo("🚨 Error occurred while opening the repo in VSCode:", error);
+    options.answers[spec.name] = value;
+  }
+
+  // `room302-template my-app` is shorthand for `--name my-app`
+  if (options.positional.length > 1) {
+    throw new Error(`Unexpected argument: ${options.positional[1]}`);
+  }
+  if (options.positional.length === 1 && options.answers.projectName === undefined) {
+    options.answers.projectName = options.positional[0];
+  }
+
+  // A server address or remote URL implies the host it's for
+  if (options.answers.remoteUrl && !options.answers.gitHost) {
+    options.answers.gitHost = "remote";
+  }
+
+  // A custom org only makes sense for "other", so imply it
+  if (options.answers.customGithubOrg && !options.answers.githubOrg) {
+    options.answers.githubOrg = "other";
+  }
+
+  // While we're still in the directory it's relative to: dry runs cd into a
+  // staging directory, and the journal and `preset save` keep the path for later
+  if (options.answers.template !== undefined) {
+    options.answers.template = absoluteTemplatePath(options.answers.template);
+  }
+
+  validateAnswers(options.answers);
+  return options;
+}
+
+// Function to validate answers supplied without the prompts. Pass the
+// pipeline's questions to also accept answers to plugin prompts.
+function validateAnswers(answers, questionList = questions) {
+  // templateAnswers holds answers to the template's own questions (room302.json)
+  const known = [...questionList.map((question) => question.name), "templateAnswers"];
+  const unknown = Object.keys(answers).filter((key) => !known.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown setting: ${unknown.join(", ")}. Expected any of: ${known.join(", ")}`);
+  }
+  const { templateAnswers } = answers;
+  if (templateAnswers !== undefined && (typeof templateAnswers !== "object" || Array.isArray(templateAnswers))) {
+    throw new Error("templateAnswers must be an object of answers to the template's questions");
+  }
+
+  if (answers.projectName !== undefined && !isValidProjectName(answers.projectName)) {
+    throw new Error(
+      `Invalid project name "${answers.projectName}". Use only letters, numbers, dots, dashes and underscores.`
+    );
+  }
+
+  if (answers.githubSecrets !== undefined) {
+    parseVariableNames(answers.githubSecrets);
+  }
+  if (answers.defaultBranch !== undefined) {
+    parseBranchName(answers.defaultBranch);
+  }
+  if (answers.topics !== undefined) {
+    parseTopics(answers.topics);
+  }
+  if (answers.collaborators !== undefined) {
+    const collaborators = parseCollaborators(answers.collaborators);
+    const teams = collaborators.filter(({ type }) => type === "team");
+    if (teams.length > 0 && answers.githubOrg === "personal") {
+      throw new Error(`Teams (@${teams[0].name}) can only be given access to organization repositories`);
+    }
+    if (collaborators.length > 0 && answers.gitHost && !gitHostFor(answers.gitHost).collaborators) {
+      throw new Error(`Collaborators can't be added on ${gitHostFor(answers.gitHost).label}, add them in its settings instead`);
+    }
+  }
+  if (answers.gitHostUrl !== undefined) {
+    parseHostUrl(answers.gitHostUrl);
+  }
+  if (answers.remoteUrl !== undefined) {
+    parseRemoteUrl(answers.remoteUrl);
+  }
+  if (answers.gitHost && answers.gitHost !== "github") {
+    if (answers.deployTarget === "github-pages") {
+      throw new Error(`GitHub Pages needs the repository on GitHub (got --host ${answers.gitHost})`);
+    }
+    if (answers.ci === true) {
+      throw new Error(`The CI workflow runs on GitHub Actions, so it needs the repository on GitHub (got --host ${answers.gitHost})`);
+    }
+    if (answers.gitHost !== "gitlab" && parseVariableNames(answers.githubSecrets).length > 0) {
+      throw new Error(`Secrets can only be set on GitHub and GitLab (got --host ${answers.gitHost})`);
+    }
+  }
+
+  // Besides the named templates, any owner/repo, git URL or local path is allowed
+  if (answers.template !== undefined) {
+    parseTemplateSource(answers.template);
+  }
+
+  for (const question of questionList) {
+    const value = answers[question.name];
+    if (question.type !== "list" || value === undefined || question.name === "template") continue;
+
+    const allowed = choiceValues(question);
+    if (!allowed.includes(value)) {
+      throw new Error(
+        `Invalid value "${value}" for ${question.name}. Expected one of: ${allowed.join(", ")}`
+      );
+    }
+  }
+
+  if (answers.customGithubOrg && answers.githubOrg !== "other") {
+    throw new Error(
+      `--custom-org can only be used with --org other (got --org ${answers.githubOrg})`
+    );
+  }
+}
+
+// Function to get the questions with defaults overridden by .room302rc.json
+function questionsWithDefaults(defaults = {}, questionList = questions) {
+  return questionList.map((question) =>
+    defaults[question.name] === undefined
+      ? question
+      : { ...question, default: defaults[question.name] }
+  );
+}
+
+// Function to fill in defaults for every unanswered question (--yes)
+function applyDefaults(answers, defaults = {}, questionList = questions) {
+  const filled = { ...answers };
+  for (const question of questionsWithDefaults(defaults, questionList)) {
+    if (filled[question.name] !== undefined || question.default === undefined) continue;
+    if (question.when && !question.when(filled)) continue;
+    // Like inquirer, a function default is worked out from the answers so far
+    const value = typeof question.default === "function" ? question.default(filled) : question.default;
+    if (value !== undefined) {
+      filled[question.name] = value;
+    }
+  }
+  return filled;
+}
+
+// Function to layer answers, later sources (e.g. flags over a preset) winning
+function mergeAnswers(...sources) {
+  return sources.reduce((merged, source) => {
+    const next = { ...merged, ...source };
+    if (merged.templateAnswers || source.templateAnswers) {
+      next.templateAnswers = { ...merged.templateAnswers, ...source.templateAnswers };
+    }
+    // Switching away from "other" drops an org name inherited from below
+    if (source.githubOrg && source.githubOrg !== "other" && source.customGithubOrg === undefined) {
+      delete next.customGithubOrg;
+    }
+    return next;
+  }, {});
+}
+
+// Function to list the questions that still need an answer
+function pendingQuestions(answers, questionList) {
+  return questionList.filter(
+    (question) =>
+      answers[question.name] === undefined &&
+      (!question.when || question.when(answers))
+  );
+}
+
+// Function to prompt user for input, skipping anything already answered
+async function promptUser(answers = {}, defaults = {}, questionList = questions) {
+  try {
+    if (pendingQuestions(answers, questionList).length === 0) {
+      return answers;
+    }
+    return {
+      ...answers,
+      ...(await inquirer.prompt(questionsWithDefaults(defaults, questionList), answers)),
+    };
+  } catch (error) {
+    logger.error("🚨 Error occurred while prompting for user input:", error);
+    process.exit(1);
+  }
+}
+
+// Function to settle on a package manager, detecting it from the template for
+// "auto", and remove lockfiles left by a different one
+async function choosePackageManager(answers, transaction = null) {
+  try {
+    let name = answers.packageManager;
+    if (!name || name === "auto") {
+      const detected = detectPackageManager();
+      if (!detected) {
+        logger.error(`🚨 Oops! No package manager found. Install one of ${packageManagerNames().join(", ")} first.`);
+        return false;
+      }
+      name = detected.name;
+      logger.info(`📦 Using ${name} (${detected.reason})`);
+    } else {
+      logger.info(`📦 Using ${name}`);
+    }
+
+    if (!shell.which(name)) {
+      logger.error(`🚨 Oops! ${name} isn't installed 😿 Install it (${PACKAGE_MANAGERS[name].installHint}) or choose another with --pm.`);
+      return false;
+    }
+    // Later steps and `resume` read the choice from the answers
+    answers.packageManager = name;
+
+    const stale = mismatchedLockfiles(name);
+    if (stale.length > 0) {
+      if (transaction) {
+        transaction.snapshotFiles("Restore the template's lockfiles", stale);
+      }
+      shell.rm("-f", stale);
+      logger.info(`🧹 Removed ${stale.join(", ")}, which ${name} doesn't use`);
+    }
+    return true;
+  } catch (error) {
+    logger.error("🚨 Error occurred while choosing the package manager:", error);
+    return false;
+  }
+}
+
+// Function to clone the template repo, returning false if it failed
+async function cloneTemplateRepo(projectName, template = DEFAULT_TEMPLATE, options = {}) {
+  try {
+    logger.info("🚀 Let's clone the template repo... 🎉");
+
+    const source = parseTemplateSource(template);
+    // Dry runs shouldn't write to the template cache either
+    if (!fetchTemplate(source, projectName, { offline: options.offline, cache: !options.dryRun })) {
+      return false;
+    }
+
+    // Verify the files the template (and this CLI) rely on exist
+    shell.cd(projectName);
+    const missingFiles = requiredFiles(source).filter(file => !fs.existsSync(file));
+
+    if (missingFiles.length > 0) {
+      logger.error(`🚨 Template repository is missing essential files: ${missingFiles.join(', ')}`);
+      return false;
+    }
+
+    // So `update` can merge in what changes in the template later
+    writeTemplateRecord({ template: source.name, source: source.label, sha: templateSha() });
+
+    logger.info("🎉 Hooray! Successfully cloned the template repo 🚀");
+    return true;
+  } catch (error) {
+    logger.error("🚨 Error occurred while cloning the template repo:", error);
+    return false;
+  }
+}
+
+// Function to apply the template's room302.json, if it has one: ask its extra
+// questions, fill in placeholders, delete files and run post-clone commands
+async function applyTemplateManifest(answers, options = {}, transaction = null) {
+  try {
+    const manifest = loadManifest();
+    if (!manifest) {
+      return true;
+    }
+    logger.info(`🧩 Applying the template's ${MANIFEST_FILENAME}...`);
+
+    // Answers are stored on the answers object so the journal remembers them
+    const extraQuestions = manifestQuestions(manifest);
+    const given = { ...answers, ...answers.templateAnswers };
+    if (options.yes) {
+      for (const question of extraQuestions) {
+        if (given[question.name] === undefined && question.default !== undefined && question.when(given)) {
+          given[question.name] = question.default;
+        }
+      }
+    }
+    const context = extraQuestions.some(
+      (question) => given[question.name] === undefined && question.when(given)
+    )
+      ? { ...given, ...(await inquirer.prompt(extraQuestions, given)) }
+      : given;
+    answers.templateAnswers = Object.fromEntries(
+      extraQuestions
+        .filter((question) => context[question.name] !== undefined)
+        .map((question) => [question.name, context[question.name]])
+    );
+
+    const deletions = filesToDelete(manifest, context);
+    if (transaction) {
+      transaction.snapshotFiles(`Restore files changed by ${MANIFEST_FILENAME}`, [
+        ...manifest.placeholders,
+        ...deletions,
+      ]);
+    }
+
+    for (const file of manifest.placeholders) {
+      if (!fs.existsSync(file)) continue;
+      const content = fs.readFileSync(file, "utf8");
+      const rendered = renderPlaceholders(content, context);
+      if (rendered !== content) {
+        fs.writeFileSync(file, rendered);
+      }
+    }
+
+    for (const file of deletions) {
+      logger.info(`🗑️  Removing ${file}`);
+      shell.rm("-rf", file);
+    }
+
+    for (const command of commandsToRun(manifest, context)) {
+      logger.info(`▶️  ${command}`);
+      if (shell.exec(command).code !== 0) {
+        logger.error(`🚨 Oops! The template's post-clone command failed: ${command} 😿`);
+        return false;
+      }
+    }
+
+    // The manifest describes the template, not the new project
+    shell.rm("-f", MANIFEST_FILENAME);
+    logger.info(`✅ Applied ${MANIFEST_FILENAME}!`);
+    return true;
+  } catch (error) {
+    logger.error(`🚨 Error occurred while applying the template's ${MANIFEST_FILENAME}:`, error);
+    return false;
+  }
+}
+
+// Function to update package.json
+async function updatePackageJson(projectName, license, useNuxtUi) {
+  try {
+    logger.info("📝 Updating package.json...");
+    const packageJson = JSON.parse(fs.readFileSync("package.json", "utf8"));
+    packageJson.name = projectName;
+    packageJson.license = licenseSpdx(license);
+    // npm drops an empty dependencies object, so a template with only dev dependencies has none
+    if (!useNuxtUi && packageJson.dependencies) {
+      delete packageJson.dependencies["@nuxt/ui"];
+    }
+    fs.writeFileSync("package.json", JSON.stringify(packageJson, null, 2));
+    logger.info("✅ Package.json updated successfully!");
+    return true;
+  } catch (error) {
+    logger.error("🚨 Error occurred while updating package.json:", error);
+    return false;
+  }
+}
+
+// Function to write the LICENSE file for the chosen license, replacing the template's
+async function writeLicenseFile(license, holder) {
+  try {
+    logger.info("⚖️  Writing LICENSE...");
+    fs.writeFileSync("LICENSE", renderLicense(license, { holder }));
+    logger.info(`✅ LICENSE written for ${licenseSpdx(license)}, © ${holder}`);
+    return true;
+  } catch (error) {
+    logger.error("🚨 Error occurred while writing LICENSE:", error);
+    return false;
+  }
+}
+
+// Function to warn when the Node.js running the CLI is older than the .nvmrc in
+// `dir` asks for. It doesn't stop the run, as it may well still work.
+function warnAboutNodeVersion(dir) {
+  const node = checkNode({}, { cwd: dir });
+  if (!node.ok) {
+    logger.warn(`⚠️  Node.js ${node.version}: the template's ${node.detail}. To switch: ${node.hint}`);
+  }
+}
+
+// Function to get your git user.name, or undefined if it isn't set
+function gitUserName() {
+  const result = shell.exec("git config user.name", { silent: true });
+  const name = result && result.code === 0 ? (result.stdout || "").trim() : "";
+  return name || undefined;
+}
+
+// Function to get "Name <email>" from your git config, or undefined if user.name isn't set
+function gitAuthor() {
+  const name = gitUserName();
+  const result = name && shell.exec("git config user.email", { silent: true });
+  const email = result && result.code === 0 ? (result.stdout || "").trim() : "";
+  return name && (email ? `${name} <${email}>` : name);
+}
+
+// Function to list the packages package.json doesn't have as a dependency or devDependency yet
+function missingPackages(names) {
+  const { dependencies = {}, devDependencies = {} } = JSON.parse(fs.readFileSync("package.json", "utf8"));
+  return names.filter((name) => !dependencies[name] && !devDependencies[name]);
+}
+
+// Function to set up Tailwind CSS
+async function setupTailwind(packageManager = "yarn") {
+  try {
+    logger.info("🎨 Setting up Tailwind CSS...");
+    
+    // Install the dependencies the project doesn't have yet
+    const packages = missingPackages(TAILWIND_PACKAGES);
+    if (packages.length > 0 && shell.exec(pmCommand(packageManager, "addDev", packages.join(" "))).code !== 0) {
+      logger.error("🚨 Failed to install Tailwind dependencies");
+      return false;
+    }
+
+    // Check for existing tailwind.config.js
+    if (fs.existsSync("tailwind.config.js")) {
+      // Modify existing config to remove @nuxt/ui specific settings
+      let existingConfig = fs.readFileSync("tailwind.config.js", "utf8");
+      existingConfig = existingConfig
+        .replace(/@nuxt\/ui/g, '')  // Remove @nuxt/ui references
+        .replace(/,\s*\n\s*\n/g, '\n'); // Clean up empty lines
+      
+      fs.writeFileSync("tailwind.config.js", existingConfig);
+    } else {
+      // Create new tailwind.config.js if it doesn't exist
+      const tailwindConfig = `/** @type {import('tailwindcss').Config} */
+export default {
+  content: [
+    "./components/**/*.{js,vue,ts}",
+    "./layouts/**/*.vue",
+    "./pages/**/*.vue",
+    "./plugins/**/*.{js,ts}",
+    "./app.vue",
+  ],
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+}`;
+      fs.writeFileSync("tailwind.config.js", tailwindConfig);
+    }
+
+    // Check for existing postcss.config.js
+    if (!fs.existsSync("postcss.config.js")) {
+      const postcssConfig = `export default {
+  plugins: {
+    tailwindcss: {},
+    autoprefixer: {},
+  },
+}`;
+      fs.writeFileSync("postcss.config.js", postcssConfig);
+    }
+
+    // Check for existing tailwind.css
+    const tailwindCSSPath = "assets/css/tailwind.css";
+    if (!fs.existsSync(tailwindCSSPath)) {
+      if (!fs.existsSync("assets/css")) {
+        shell.mkdir("-p", "assets/css");
+      }
+      
+      const tailwindCSS = `@tailwind base;
+@tailwind components;
+@tailwind utilities;`;
+      fs.writeFileSync(tailwindCSSPath, tailwindCSS);
+    }
+
+    // Update nuxt.config.ts to include Tailwind if not already included
+    editNuxtConfig((config) => addToList(config, "css", "~/assets/css/tailwind.css"));
+
+    logger.info("✅ Tailwind CSS setup complete!");
+    return true;
+  } catch (error) {
+    logger.error("🚨 Error occurred while setting up Tailwind:", error);
+    return false;
+  }
+}
+
+// Function to update nuxt.config.ts
+async function updateNuxtConfig(uiFramework, packageManager = "yarn") {
+  try {
+    logger.info("🎨 Configuring UI framework...");
+
+    // Handle UI framework selection. Each edit reads the config fresh, so
+    // setupTailwind's css entry is kept.
+    switch (uiFramework) {
+      case 'none':
+        logger.info("🧹 Removing UI frameworks for a clean slate...");
+        editNuxtConfig((config) => removeFromList(config, "modules", "@nuxt/ui"));
+        break;
+      
+      case 'tailwind':
+        logger.info("🎭 Setting up lightweight Tailwind configuration...");
+        editNuxtConfig((config) => removeFromList(config, "modules", "@nuxt/ui"));
+        if (!(await setupTailwind(packageManager))) {
+          return false;
+        }
+        break;
+      
+      case 'nuxt-ui':
+        logger.info("✨ Keeping @nuxt/ui configuration...");
+        editNuxtConfig((config) => addToList(config, "modules", "@nuxt/ui"));
+        break;
+    }
+    
+    // Update package.json based on UI selection
+    const packageJson = JSON.parse(fs.readFileSync("package.json", "utf8"));
+    if (uiFramework !== 'nuxt-ui' && packageJson.dependencies) {
+      delete packageJson.dependencies["@nuxt/ui"];
+    }
+    fs.writeFileSync("package.json", JSON.stringify(packageJson, null, 2));
+    logger.info("✅ UI framework configuration complete!");
+    return true;
+  } catch (error) {
+    logger.error("🚨 Error occurred while updating nuxt.config.ts:", error);
+    return false;
+  }
+}
+
+// Function to add Nuxt UI to a project that doesn't have it: the module and its package
+async function setupNuxtUi(packageManager = "yarn") {
+  try {
+    logger.info("✨ Setting up Nuxt UI...");
+    editNuxtConfig((config) => addToList(config, "modules", "@nuxt/ui"));
+    if (missingPackages(["@nuxt/ui"]).length > 0 && shell.exec(pmCommand(packageManager, "add", "@nuxt/ui")).code !== 0) {
+      logger.error("🚨 Failed to install @nuxt/ui");
+      return false;
+    }
+    logger.info("✅ Nuxt UI set up!");
+    return true;
+  } catch (error) {
+    logger.error("🚨 Error occurred while setting up Nuxt UI:", error);
+    return false;
+  }
+}
+
+// Function to switch the Nuxt Content and OpenAI features on or off. A toggle that
+// wasn't answered (an old journal or preset) leaves the template as it is.
+async function updateFeatures({ projectName, useContent, useOpenAi }, packageManager = "yarn") {
+  try {
+    logger.info("🧩 Configuring features...");
+    const packageJson = JSON.parse(fs.readFileSync("package.json", "utf8"));
+    const dependencies = packageJson.dependencies || {};
+
+    if (useContent === true) {
+      logger.info("📚 Adding Nuxt Content...");
+      editNuxtConfig((config) => addToList(config, "modules", "@nuxt/content"));
+      if (!fs.existsSync("content")) {
+        shell.mkdir("-p", "content");
+        fs.writeFileSync(
+          CONTENT_SAMPLE,
+          `# ${projectName}\n\nThis page is \`${CONTENT_SAMPLE}\`. Edit it, or add more Markdown files to \`content/\`.\n`
+        );
+      }
+      if (!dependencies["@nuxt/content"] && shell.exec(pmCommand(packageManager, "add", "@nuxt/content")).code !== 0) {
+        logger.error("🚨 Failed to install @nuxt/content");
+        return false;
+      }
+    } else if (useContent === false) {
+      editNuxtConfig((config) => removeFromList(config, "modules", "@nuxt/content"));
+      if (dependencies["@nuxt/content"]) {
+        logger.info("🧹 Removing Nuxt Content...");
+        delete dependencies["@nuxt/content"];
+        fs.writeFileSync("package.json", JSON.stringify(packageJson, null, 2));
+      }
+    }
+
+    if (useOpenAi === true) {
+      logger.info("🤖 Adding the OpenAI API key to runtimeConfig...");
+      editNuxtConfig((config) => setDefault(config, "runtimeConfig.openaiApiKey", fromEnv("OPENAI_API_KEY")));
+    } else if (useOpenAi === false) {
+      const composables = OPENAI_COMPOSABLES.filter((file) => fs.existsSync(file));
+      if (composables.length > 0) {
+        logger.info("🧹 Removing the OpenAI composable...");
+        shell.rm("-f", composables);
+      }
+      editNuxtConfig((config) => removeKey(config, "runtimeConfig.openaiApiKey"));
+    }
+
+    logger.info("✅ Features configured!");
+    return true;
+  } catch (error) {
+    logger.error("🚨 Error occurred while configuring features:", error);
+    return false;
+  }
+}
+
+// Function to set up Supabase: `supabase init` and the @nuxtjs/supabase module.
+// `mode` is "hosted" or "local"; the env-files step adds its credentials to .env.
+async function setupSupabase(mode, packageManager = "yarn", { dryRun = false } = {}) {
+  try {
+    logger.info("🗄️  Setting up Supabase...");
+    // A dry run only warns, as it does after the tool checks, and still shows the rest. Run
+    // both checks so everything that's missing is reported at once
+    const cliReady = await checkSupabaseCLI({ warnOnly: dryRun });
+    const dockerReady = mode !== "local" || (await checkDocker({ warnOnly: dryRun }));
+    if (!(cliReady && dockerReady)) {
+      if (!dryRun) {
+        return false;
+      }
+      logger.warn("🧪 Dry run: carrying on, but a real run would stop here");
+    }
+
+    // Templates such as nuxt-supabase already come with a supabase/ directory
+    if (fs.existsSync("supabase/config.toml")) {
+      logger.info("✨ The template already has a Supabase project, keeping it");
+    } else if (shell.exec("supabase init").code !== 0) {
+      logger.error("🚨 Oops! supabase init failed 😿");
+      return false;
+    }
+
+    editNuxtConfig((config) => addToList(config, "modules", "@nuxtjs/supabase"));
+    if (missingPackages(["@nuxtjs/supabase"]).length > 0 && shell.exec(pmCommand(packageManager, "add", "@nuxtjs/supabase")).code !== 0) {
+      logger.error("🚨 Failed to install @nuxtjs/supabase");
+      return false;
+    }
+
+    logger.info("✅ Supabase set up!");
+    return true;
+  } catch (error) {
+    logger.error("🚨 Error occurred while setting up Supabase:", error);
+    return false;
+  }
+}
+
+// Function to configure a deploy target: its config file (unless the template
+// has one) and the Nitro preset
+async function setupDeployTarget(target, packageManager = "yarn", projectName, { defaultBranch = "main", ci = false } = {}) {
+  try {
+    const { file, content, preset } = deployConfig(target, {
+      packageManager,
+      projectName,
+      defaultBranch,
+      ci,
+      ...workflowSetup(packageManager),
+    });
+    logger.info(`🌍 Configuring deploys to ${DEPLOY_TARGETS[target].label}...`);
+
+    if (fs.existsSync(file)) {
+      logger.info(`✨ The template already has ${file}, keeping it`);
+    } else {
+      if (path.dirname(file) !== ".") {
+        shell.mkdir("-p", path.dirname(file));
+      }
+      fs.writeFileSync(file, content);
+    }
+    editNuxtConfig((config) => setValue(config, "nitro.preset", preset));
+
+    logger.info("✅ Deploy target configured!");
+    return true;
+  } catch (error) {
+    logger.error("🚨 Error occurred while configuring the deploy target:", error);
+    return false;
+  }
+}
+
+// Function to find what the workflows' setup steps depend on: the package manager's
+// lockfile (for a frozen, cached install) and .nvmrc (for the Node version)
+function workflowSetup(packageManager) {
+  const lockfile = PACKAGE_MANAGERS[packageManager].lockfiles.find((file) => fs.existsSync(file)) || null;
+  return { lockfile, nvmrc: fs.existsSync(".nvmrc") };
+}
+
+// Function to write a CI workflow for the chosen stack, replacing the template's.
+// Only the package.json scripts the project has get a job.
+async function writeCiWorkflow(answers) {
+  try {
+    logger.info("🤖 Writing the CI workflow...");
+    const packageManager = answers.packageManager || "yarn";
+    const { scripts = {} } = JSON.parse(fs.readFileSync("package.json", "utf8"));
+    const workflow = ciWorkflow({ ...answers, packageManager }, { scripts, ...workflowSetup(packageManager) });
+    if (!workflow) {
+      logger.info("✨ No lint, typecheck, test or build scripts to run yet, so there's no CI workflow");
+      return true;
+    }
+    shell.mkdir("-p", path.dirname(CI_WORKFLOW_FILE));
+    fs.writeFileSync(CI_WORKFLOW_FILE, workflow);
+    logger.info(`✅ ${CI_WORKFLOW_FILE} written!`);
+    return true;
+  } catch (error) {
+    logger.error("🚨 Error occurred while writing the CI workflow:", error);
+    return false;
+  }
+}
+
+// Function to write .env and .env.example with every variable the project needs:
+// the template's .env.example, its runtimeConfig and the chosen features. Both get
+// placeholders only, so no real value ever shows up in a --dry-run plan.
+// Variables already in either file are kept as they are.
+async function writeEnvFiles(answers) {
+  try {
+    logger.info("🔑 Writing the env files...");
+    const groups = [];
+    if (fs.existsSync(ENV_EXAMPLE_FILE)) {
+      groups.push({ comment: null, variables: parseEnv(fs.readFileSync(ENV_EXAMPLE_FILE, "utf8")) });
+    }
+    try {
+      const { config } = parseNuxtConfig(fs.readFileSync("nuxt.config.ts", "utf8"));
+      const names = runtimeConfigEnvNames(config);
+      groups.push({ comment: "Nuxt runtimeConfig", variables: Object.fromEntries(names.map((name) => [name, ""])) });
+    } catch (error) {
+      logger.warn(`⚠️  Couldn't read runtimeConfig from nuxt.config.ts (${error.message}), so add its variables by hand`);
+    }
+    groups.push(...FEATURE_ENV_VARIABLES.filter(({ when }) => when(answers)));
+
+    const added = new Set();
+    for (const { comment, variables } of groups) {
+      for (const file of [ENV_EXAMPLE_FILE, ENV_FILE]) {
+        addEnvVariables(file, variables, comment).forEach((name) => added.add(name));
+      }
+    }
+    for (const file of [ENV_FILE, ENV_EXAMPLE_FILE]) {
+      if (!fs.existsSync(file)) {
+        fs.writeFileSync(file, "");
+      }
+    }
+
+    // Before anything is committed. The install has already run by now, and not every template
+    // ignores node_modules
+    ensureGitignored(ENV_FILE);
+    ensureGitignored("node_modules");
+    logger.info(
+      added.size > 0
+        ? `✅ Env files written (${added.size} new variables). Fill in the placeholders in ${ENV_FILE}.`
+        : "✅ Env files written, no variables needed yet."
+    );
+    return true;
+  } catch (error) {
+    logger.error("🚨 Error occurred while writing the env files:", error);
+    return false;
+  }
+}
+
+// Function to initialize a new git repo on the given default branch
+async function initGitRepo(defaultBranch = "main") {
+  try {
+    logger.info("🌱 Initializing fresh Git repository...");
+    if (shell.exec("rm -rf .git").code !== 0) {
+      logger.error("🚨 Oops! Failed to remove existing git repo 😿");
+    }
+    if (shell.exec("git init").code !== 0) {
+      logger.error("🚨 Oops! Git init failed 😿");
+      return false;
+    }
+    // Rather than `git init -b`, which older gits don't have
+    if (shell.exec(`git symbolic-ref HEAD refs/heads/${defaultBranch}`).code !== 0) {
+      logger.error(`🚨 Oops! Couldn't name the default branch ${defaultBranch} 😿`);
+      return false;
+    }
+    logger.info("✅ Git repository initialized!");
+    return true;
+  } catch (error) {
+    logger.error("🚨 Error occurred while initializing a new git repo:", error);
+    return false;
+  }
+}
+
+// Function to get the owner/name of the repository (just the name for personal repos)
+function repoSlug(projectName, githubOrg, customGithubOrg) {
+  if (githubOrg === "personal") {
+    return projectName;
+  }
+  const owner = githubOrg === "room302studio" ? "room302studio" : customGithubOrg;
+  return `${owner}/${projectName}`;
+}
+
+// Function to ask a git host who is signed in, for the owner of a personal repository
+function signedInUser(host, url) {
+  const result = shell.exec(host.whoami(url), { silent: true });
+  try {
+    if (result.code === 0) {
+      return host.username(result.stdout);
+    }
+  } catch (error) {
+    // Not JSON, reported below
+  }
+  throw new Error(`Couldn't get your ${host.label} username. Check you're logged in (${host.cli}).`);
+}
+
+// Function to describe the repository the answers ask for, in the shape the git hosts
+// build their commands from (see lib/git-hosts.js)
+function remoteRepo(answers) {
+  const host = gitHostFor(answers.gitHost);
+  const url = answers.gitHostUrl ? parseHostUrl(answers.gitHostUrl) : host.defaultUrl;
+  const personal = answers.githubOrg === "personal";
+  let slug = answers.gitHost === "remote"
+    ? answers.projectName
+    : repoSlug(answers.projectName, answers.githubOrg, answers.customGithubOrg);
+  // gh puts personal repositories in your account by itself, the others need the username
+  if (personal && host.whoami) {
+    slug = `${signedInUser(host, url)}/${answers.projectName}`;
+  }
+  return {
+    url,
+    owner: slug.includes("/") ? slug.split("/")[0] : null,
+    name: answers.projectName,
+    slug,
+    personal,
+    isPublic: answers.isRepoPublic !== false,
+    description: answers.description,
+    defaultBranch: answers.defaultBranch || "main",
+    topics: parseTopics(answers.topics),
+    dir: shell.pwd(),
+    remoteUrl: answers.remoteUrl,
+  };
+}
+
+// Function to point origin at the repository, whether or not it's set already
+function setOrigin(url) {
+  const action = shell.exec("git remote get-url origin", { silent: true }).code === 0 ? "set-url" : "add";
+  return shell.exec(`git remote ${action} origin ${url}`).code === 0;
+}
+
+// Function to create the project's repository on the chosen git host (or just point
+// origin at an existing remote)
+async function createRepo(answers, transaction = null) {
+  try {
+    const host = gitHostFor(answers.gitHost);
+    const repo = remoteRepo(answers);
+    if (answers.gitHost === "remote") {
+      logger.info(`🔗 Pushing to ${repo.remoteUrl}...`);
+    } else {
+      logger.info(`🏗️  Creating ${host.label} repository...`);
+      if (answers.githubOrg === "personal") {
+        logger.info(`🏠 Creating in your personal ${host.label} account...`);
+      } else if (answers.githubOrg === "room302studio") {
+        logger.info("🏢 Creating in Room302 Studio organization...");
+      } else {
+        logger.info(`🏢 Creating in ${answers.customGithubOrg} organization...`);
+      }
+    }
+    for (const command of host.create(repo)) {
+      if (shell.exec(command).code !== 0) {
+        logger.error(`🚨 Oops! Failed to create ${host.label} repository 😿`);
+        return false;
+      }
+    }
+    if (transaction) {
+      transaction.register(
+        answers.gitHost === "remote" ? `Leave ${repo.remoteUrl} as it is` : `Delete the ${host.label} repository ${repo.slug}`,
+        () => deleteRepo(answers)
+      );
+    }
+    const remoteUrl = host.remoteUrl(repo);
+    if (remoteUrl && !setOrigin(remoteUrl)) {
+      logger.error(`🚨 Oops! Couldn't add the remote ${remoteUrl} 😿`);
+      return false;
+    }
+    logger.info(answers.gitHost === "remote" ? "✅ Remote added!" : `✅ ${host.label} repository created successfully!`);
+    return true;
+  } catch (error) {
+    logger.error("🚨 Error occurred while creating the repository:", error);
+    return false;
+  }
+}
+
+// Function to apply the repository settings from the answers (description, homepage,
+// topics, features and access) to the repository just created
+async function configureRepo(answers) {
+  try {
+    const host = gitHostFor(answers.gitHost);
+    const commands = host.configure(answers, remoteRepo(answers));
+    if (commands.length === 0) {
+      return true;
+    }
+    logger.info(`⚙️  Applying the ${host.label} repository settings...`);
+    for (const command of commands) {
+      if (shell.exec(command).code !== 0) {
+        logger.error(`🚨 Oops! Failed to apply a repository setting 😿 (${command})`);
+        return false;
+      }
+    }
+    logger.info(`✅ ${host.label} repository settings applied!`);
+    return true;
+  } catch (error) {
+    logger.error("🚨 Error occurred while applying the repository settings:", error);
+    return false;
+  }
+}
+
+// Function to protect the default branch once it's been pushed. Some plans can't
+// protect branches (private repos on GitHub Free), so that is a warning rather than a failure.
+async function protectBranch(answers) {
+  const branch = answers.defaultBranch || "main";
+  try {
+    const host = gitHostFor(answers.gitHost);
+    const command = host.protect(parseBranchName(branch), remoteRepo(answers));
+    if (!command) {
+      logger.warn(`⚠️  Branch protection isn't available for a ${host.label}, set it up on the server.`);
+      return true;
+    }
+    logger.info(`🛡️  Protecting ${branch}...`);
+    if (shell.exec(command).code !== 0) {
+      logger.warn(`⚠️  Couldn't protect ${branch}. Check your plan or role allows branch protection on ${host.label}.`);
+      return true;
+    }
+    logger.info(`✅ ${branch} is protected!`);
+    return true;
+  } catch (error) {
+    logger.error("🚨 Error occurred while protecting the branch:", error);
+    return false;
+  }
+}
+
+// Function to delete a repository we created (used by rollback)
+async function deleteRepo(answers) {
+  const host = gitHostFor(answers.gitHost);
+  const repo = remoteRepo(answers);
+  const command = host.remove(repo);
+  if (command && shell.exec(command).code !== 0) {
+    logger.error(`🚨 Could not delete ${repo.slug}. ${host.removeHint}`);
+    return false;
+  }
+  return true;
+}
+
+// Function to set CI secrets (GitHub secrets or GitLab CI/CD variables) on the new
+// repository from your environment. The value is piped in through the shell, so it
+// never shows up in a command line or the dry-run plan.
+async function setRepoSecrets(names, answers = {}) {
+  try {
+    const host = gitHostFor(answers.gitHost);
+    const repo = { url: answers.gitHostUrl ? parseHostUrl(answers.gitHostUrl) : host.defaultUrl };
+    const missing = names.filter((name) => !process.env[name]);
+    for (const name of names.filter((name) => process.env[name])) {
+      if (shell.exec(`printf '%s' "$${name}" | ${host.secret(name, repo)}`, { silent: true }).code !== 0) {
+        logger.error(`🚨 Oops! Failed to set the ${host.label} secret ${name} 😿`);
+        return false;
+      }
+      logger.info(`🔐 Set the ${host.label} secret ${name}`);
+    }
+    if (missing.length > 0) {
+      logger.warn(`⚠️  ${missing.join(", ")} isn't set in your environment, so it wasn't synced.`);
+      logger.warn(`👉 Set it later with: ${missing.map((name) => host.secret(name, repo)).join(" && ")}`);
+    }
+    return true;
+  } catch (error) {
+    logger.error("🚨 Error occurred while setting secrets:", error);
+    return false;
+  }
+}
+
+// Function to get the web address of the project's repository, or null
+function repoWebUrl(answers) {
+  if ((answers.gitHost || "github") === "github") {
+    const result = shell.exec("gh repo view --json url --jq .url", { silent: true });
+    const url = result && result.code === 0 ? (result.stdout || "").trim() : "";
+    return /^https?:\/\//.test(url) ? url : null;
+  }
+  return gitHostFor(answers.gitHost).webUrl(remoteRepo(answers));
+}
+
+// Function to replace the template's README.md with one for this project, and fill
+// in description, author, homepage and repository in package.json. The repository
+// is only known once it has been created, so offline runs leave it out.
+async function writeProjectMetadata(answers, { offline = false } = {}) {
+  try {
+    logger.info("📖 Writing README.md and the package.json metadata...");
+    fs.writeFileSync("README.md", renderReadme(answers));
+
+    const repositoryUrl = offline ? null : repoWebUrl(answers);
+    const packageJson = JSON.parse(fs.readFileSync("package.json", "utf8"));
+    Object.assign(packageJson, projectMetadata(answers, repositoryUrl));
+    fs.writeFileSync("package.json", JSON.stringify(packageJson, null, 2));
+
+    logger.info("✅ README.md and package.json updated!");
+    return true;
+  } catch (error) {
+    logger.error("🚨 Error occurred while writing the project metadata:", error);
+    return false;
+  }
+}
+
+// Function to commit and push changes
+async function commitAndPush(autoCommitPush) {
+  return !autoCommitPush || ((await commitChanges()) && pushToRemote());
+}
+
+// Function to make the initial commit
+async function commitChanges() {
+  try {
+    logger.info("🌿 Preparing initial commit...");
+    if (shell.exec("git add .").code !== 0) {
+      logger.error("🚨 Oops! Git add failed 😿");
+      return false;
+    }
+    if (shell.exec(`git commit -m "feat: begin project 🪴"`).code !== 0) {
+      logger.error("🚨 Oops! Git commit failed 😿");
+      return false;
+    }
+    return true;
+  } catch (error) {
+    logger.error("🚨 Error occurred while committing changes:", error);
+    return false;
+  }
+}
+
+// Function to push the initial commit. On GitHub, the first branch pushed
+// becomes the repository's default branch.
+async function pushToRemote(branch = "main") {
+  try {
+    logger.info(`🚀 Pushing ${branch} to origin...`);
+    if (shell.exec(`git push -u origin ${branch}`).code !== 0) {
+      logger.error("🚨 Oops! Git push failed 😿");
+      return false;
+    }
+    logger.info("✅ Changes pushed successfully!");
+    return true;
+  } catch (error) {
+    logger.error("🚨 Error occurred while pushing changes:", error);
+    return false;
+  }
+}
+
+// Function to open the cloned repo in the code editor
+async function openInEditor() {
+  try {
+    if (shell.exec("code .").code !== 0) {
+      logger.error("🚨 Oops! Tried and failed to open the repo in VSCode 😿");
+    }
+  } catch (error) {
+    logger.error("🚨 Error occurred while opening the repo in VSCode:", error);
   }
 }
 
 // Function to install dependencies
-async function installDependencies() {
+async function installDependencies(packageManager = "yarn") {
   try {
-    shell.echo("📦 Installing project dependencies...");
-    if (shell.exec("yarn install").code !== 0) {
-      shell.echo("🚨 Oops! yarn install failed 😿");
-    } else {
-      shell.echo("✅ Dependencies installed successfully!");
+    logger.info("📦 Installing project dependencies...");
+    const command = pmCommand(packageManager, "install");
+    if (shell.exec(command).code !== 0) {
+      logger.error(`🚨 Oops! ${command} failed 😿`);
+      return false;
     }
+    logger.info("✅ Dependencies installed successfully!");
+    return true;
   } catch (error) {
-    shell.echo("🚨 Error occurred while installing dependencies:", error);
+    logger.error("🚨 Error occurred while installing dependencies:", error);
+    return false;
   }
 }
 
 // Main function
-async function main() {
-  shell.echo("🚀 Starting project setup...");
-  await checkNodeVersion();
-  await checkSupabaseCLI();
-  await checkGitHubCLI();
-
-  const answers = await promptUser();
-  const {
-    projectName,
-    uiFramework,
-    isRepoPublic,
-    license,
-    githubOrg,
-    customGithubOrg,
-    autoCommitPush,
-  } = answers;
-
-  shell.echo(`\n🎯 Creating project: ${projectName}\n`);
-  await cloneTemplateRepo(projectName);
-
-  shell.cd(projectName);
-  shell.echo("📂 Setting up project structure...");
-
-  await updateNuxtConfig(uiFramework);
-  await updatePackageJson(projectName, license, uiFramework === 'nuxt-ui');
-  await initGitRepo();
-  await createGitHubRepo(projectName, isRepoPublic, githubOrg, customGithubOrg);
-  await commitAndPush(autoCommitPush);
-  await installDependencies();
-  await openInEditor();
-
-  shell.echo("\n🎉 All done! Your project is ready to go! 🚀\n");
-  shell.echo("Next steps:");
-  shell.echo("1. 👉 cd " + projectName);
-  shell.echo("2. 🏃‍♂️ yarn dev");
-  shell.echo("3. 🎨 Start building something amazing!\n");
+async function main(argv = []) {
+  let options;
+  let config;
+  let pipeline;
+  let given;
+  try {
+    options = parseArgs(argv);
+    config = loadConfig();
+    registerTemplates(config.templates);
+    pipeline = loadPipeline(config);
+    validateAnswers(config.defaults, pipeline.questions());
+    const preset = options.preset ? getPreset(config, options.preset) : {};
+    validateAnswers(preset, pipeline.questions());
+    given = mergeAnswers(preset, options.answers);
+    validateAnswers(given, pipeline.questions());
+  } catch (error) {
+    logger.error(`🚨 ${error.message}`);
+    process.exit(1);
+    return;
+  }
+
+  logger.info("🚀 Starting project setup...");
+  if (options.offline) {
+    logger.info("📴 Offline: using the cached template and skipping the git host");
+  }
+
+  const answers = await promptUser(
+    options.yes ? applyDefaults(given, config.defaults, pipeline.questions()) : given,
+    config.defaults,
+    pipeline.questions()
+  );
+  // Which tools are required depends on the answers, so they're checked once
+  // those are in, and before anything is cloned. The project's .nvmrc comes
+  // with the template, so only the minimum Node.js is known here, and an older
+  // one is only a warning, as it may well still work.
+  const results = runChecks(answers, { offline: options.offline, cwd: null });
+  const node = results.find(({ id }) => id === "node");
+  if (node && !node.ok) {
+    logger.warn(`⚠️  Node.js ${node.version}: ${node.detail}. To switch: ${node.hint}`);
+  }
+  const missing = missingRequired(results.filter(({ id }) => id !== "node"));
+  if (missing.length > 0) {
+    logger.warn("🩺 Some tools this setup needs aren't ready:\n");
+    logger.warn(formatReport(missing));
+    if (!options.dryRun) {
+      logger.error("\n🚨 Fix these and try again. room302-template doctor checks everything.");
+      process.exit(1);
+      return;
+    }
+    logger.info("\n🧪 Dry run: carrying on, but a real run would stop here");
+  }
+  if (!options.dryRun) {
+    try {
+      saveLastRun(answers);
+    } catch (error) {
+      logger.error("🚨 Could not remember these answers for `preset save`:", error);
+    }
+  }
+
+  const dryRun = options.dryRun ? startDryRun() : null;
+  const journal = createJournal(answers, path.resolve(answers.projectName));
+
+  logger.info(`\n🎯 Creating project: ${answers.projectName}\n`);
+  const succeeded = await runSetup(answers, options, journal, pipeline);
+
+  if (dryRun) {
+    finishDryRun(dryRun);
+  }
+  if (!succeeded) {
+    process.exit(1);
+    return;
+  }
+  if (dryRun) {
+    return;
+  }
+
+  printNextSteps(answers);
+}
+
+// Function to build the setup pipeline: the built-in steps plus any plugins
+function loadPipeline(config) {
+  const pipeline = createPipeline(builtinSteps);
+  for (const name of loadPlugins(pipeline, { packages: config.plugins })) {
+    logger.info(`🔌 Loaded plugin ${name}`);
+  }
+  return pipeline;
+}
+
+// Function to print what to do once the project is ready
+function printNextSteps({ projectName, packageManager = "yarn", supabase = "none", deployTarget = "none", ci = false }) {
+  const steps = [`👉 cd ${projectName}`];
+  if (supabase === "local") {
+    steps.push(`🗄️  supabase start, then copy its anon key into ${ENV_FILE}`);
+  } else if (supabase === "hosted") {
+    steps.push(`🗄️  Put your Supabase project's URL and anon key in ${ENV_FILE}`);
+  }
+  steps.push(`🏃‍♂️ ${pmCommand(packageManager, "run", "dev")}`, "🎨 Start building something amazing!");
+  if (DEPLOY_TARGETS[deployTarget]) {
+    const { label, link } = DEPLOY_TARGETS[deployTarget];
+    steps.push(`🌍 ${link} to connect the repository to ${label}`);
+    const { ciSecrets } = DEPLOY_TARGETS[deployTarget];
+    if (ci && ciSecrets.length > 0) {
+      steps.push(`🔐 Add ${ciSecrets.join(", ")} as repository secrets so CI can deploy`);
+    }
+  }
+
+  logger.info("\n🎉 All done! Your project is ready to go! 🚀\n");
+  logger.info("Next steps:");
+  steps.forEach((step, index) => logger.info(`${index + 1}. ${step}`));
+  logger.info("");
+}
+
+// Function to add a path to .git/info/exclude so it never gets committed
+async function excludeFromGit(pattern) {
+  try {
+    const excludeFile = ".git/info/exclude";
+    const current = fs.existsSync(excludeFile) ? fs.readFileSync(excludeFile, "utf8") : "";
+    if (!current.split("\n").includes(pattern)) {
+      fs.writeFileSync(excludeFile, `${current}${current && !current.endsWith("\n") ? "\n" : ""}${pattern}\n`);
+    }
+    return true;
+  } catch (error) {
+    logger.error(`🚨 Error occurred while excluding ${pattern} from git:`, error);
+    return false;
+  }
+}
+
+// Function to run a step, treating a thrown error like a failed step.
+// Only `false` means failure, so plugin steps don't have to return anything.
+async function runStep(step, ctx) {
+  return logger.step(step, async () => {
+    try {
+      return (await step.run(ctx)) !== false;
+    } catch (error) {
+      logger.error(`🚨 Error occurred in step "${step.title}":`, error);
+      return false;
+    }
+  });
+}
+
+// Function to run the pipeline's steps in order, recording progress in the journal
+async function runSetup(answers, options, journal, pipeline = createPipeline(builtinSteps)) {
+  const transaction = createTransaction();
+  const completedBefore = [...journal.completed];
+  const startDir = process.cwd();
+  // Dry runs don't leave a journal behind
+  const save = () => !options.dryRun && writeJournal(journal);
+  // Steps get the shell and fs modules through ctx. In a dry run the recorder has patched
+  // those shared modules, so whatever a step does with them is recorded.
+  const ctx = { answers, options, projectDir: journal.projectDir, transaction, shell, fs };
+
+  // Every step after the clone runs inside the project
+  if (journal.completed.includes("clone")) {
+    shell.cd(journal.projectDir);
+  }
+
+  const skipped = [];
+  for (const step of pipeline.steps) {
+    if (journal.completed.includes(step.id)) {
+      logger.info(`⏭️  ${step.title}: already done`);
+      logger.skipStep(step, "already done");
+      continue;
+    }
+    if (step.when && !step.when(answers)) {
+      logger.skipStep(step, "not needed");
+      continue;
+    }
+    // Skipped steps stay out of the journal, so a later `resume` runs them
+    if (step.needsNetwork && options.offline) {
+      logger.info(`⏭️  ${step.title}: skipped (offline)`);
+      logger.skipStep(step, "offline");
+      skipped.push(step.title);
+      continue;
+    }
+
+    if (!(await runStep(step, ctx))) {
+      // Dry runs write nothing, the debug log included, and as nothing was
+      // done there's nothing to roll back either (it would only add to the plan)
+      if (options.dryRun) {
+        logger.warn(`🧪 Dry run: a real run would stop at "${step.title}"`);
+      } else {
+        writeDebugLog(path.join(startDir, LOG_FILENAME));
+        if (await handleFailure(transaction, options)) {
+          journal.completed = completedBefore;
+        }
+      }
+      // Only offer to resume once the clone is ours, never in a directory that was already there
+      if (journal.completed.includes("clone") && save()) {
+        logger.warn(`💾 Progress saved to ${JOURNAL_FILENAME}. Fix the problem above, then run:`);
+        logger.warn(`   room302-template resume ${path.relative(startDir, journal.projectDir) || "."}`);
+      }
+      return false;
+    }
+
+    if (step.undo) {
+      const description = typeof step.undoTitle === "function" ? step.undoTitle(ctx) : step.undoTitle;
+      transaction.register(description || `Undo "${step.title}"`, () => step.undo(ctx));
+    }
+    journal.completed.push(step.id);
+    save();
+  }
+
+  if (skipped.length > 0 && save()) {
+    logger.info(`💾 Skipped: ${skipped.join(", ")}. When you're back online, run:`);
+    logger.info(`   room302-template resume ${path.relative(startDir, journal.projectDir) || "."}`);
+  } else if (!options.dryRun) {
+    removeJournal(journal);
+  }
+  return true;
+}
+
+// Function to write everything logged so far, with each command's output, for
+// working out why a step failed
+function writeDebugLog(file) {
+  try {
+    logger.writeLog(file);
+    logger.warn(`📝 The full debug log is in ${file}`);
+  } catch (error) {
+    logger.error("🚨 Error occurred while writing the debug log:", error);
+  }
+}
+
+// Function to offer rolling back a failed setup (skipped with --keep-on-failure).
+// Returns true if everything done so far was rolled back.
+async function handleFailure(transaction, options) {
+  if (transaction.actions.length === 0) {
+    return false;
+  }
+
+  const listLeftovers = () =>
+    transaction.actions.forEach(({ description }) => logger.warn(`   - ${description}`));
+
+  if (options.keepOnFailure) {
+    logger.warn("🧰 Setup failed. Keeping everything for debugging (--keep-on-failure). To clean up later:");
+    listLeftovers();
+    return false;
+  }
+
+  let rollBack = true;
+  if (!options.yes) {
+    ({ rollBack } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "rollBack",
+        message: "↩️  Setup failed. Roll back everything done so far?",
+        default: true,
+      },
+    ]));
+  }
+
+  if (!rollBack) {
+    logger.warn("🧰 Leaving everything in place. To clean up later:");
+    listLeftovers();
+    return false;
+  }
+
+  if (await transaction.rollback()) {
+    logger.info("✅ Rolled back. Nothing was left behind.");
+  } else {
+    logger.error("🚨 Rollback finished with errors, see above for what is left to clean up.");
+  }
+  return true;
+}
+
+// Function to start a dry run: everything happens in a throwaway staging
+// directory and commands/writes are recorded instead of executed
+function startDryRun() {
+  const targetDir = process.cwd();
+  const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), "room302-dry-run-"));
+  const recorder = createRecorder({ stagingDir, targetDir });
+
+  logger.info("🧪 Dry run: nothing will be changed on disk or on the git host");
+  shell.cd(stagingDir);
+  recorder.install();
+  // Don't leave the staging clone behind if a step exits early
+  const cleanup = () => {
+    recorder.restore();
+    shell.rm("-rf", stagingDir);
+  };
+  process.once("exit", cleanup);
+
+  return { recorder, stagingDir, targetDir, cleanup };
+}
+
+// Function to end a dry run and print the recorded plan
+function finishDryRun({ recorder, targetDir, cleanup }) {
+  cleanup();
+  shell.cd(targetDir);
+  process.removeListener("exit", cleanup);
+
+  logger.info("\n🧪 Dry run complete. This is what would happen:\n");
+  logger.output(formatPlan(recorder.steps), { plan: recorder.steps });
+}
+
+// Function to handle `room302-template preset <save|list>`
+async function presetCommand(args) {
+  const [action, name] = args;
+  try {
+    if (action === "save" && name) {
+      const file = savePreset(name);
+      logger.info(`✅ Saved the answers from your last run as preset "${name}" in ${file}`);
+      logger.info(`👉 Use it with: room302-template --preset ${name}`);
+    } else if (action === "list") {
+      const names = Object.keys(loadConfig().presets);
+      logger.output(names.length ? names.join("\n") : "No presets saved yet.", { presets: names });
+    } else {
+      shell.echo(`Usage: ${commandUsage("preset")}`);
+      process.exit(1);
+    }
+  } catch (error) {
+    logger.error(`🚨 ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Function to handle `room302-template resume [dir]`
+async function resumeCommand(args) {
+  let options;
+  let pipeline;
+  let journal;
+  try {
+    const dir = args[0] && !args[0].startsWith("-") ? args[0] : null;
+    options = parseArgs(dir ? args.slice(1) : args);
+    if (Object.keys(options.answers).length > 0) {
+      throw new Error("resume uses the answers saved in the journal, so question flags can't be passed");
+    }
+    if (options.dryRun) {
+      throw new Error("--dry-run can't be used with resume");
+    }
+    journal = readJournal(path.resolve(dir || "."));
+    pipeline = loadPipeline(loadConfig());
+  } catch (error) {
+    logger.error(`🚨 ${error.message}`);
+    process.exit(1);
+    return;
+  }
+
+  const { answers } = journal;
+  logger.info(`🔁 Resuming setup of ${answers.projectName}...`);
+  if (!(await runSetup(answers, options, journal, pipeline))) {
+    process.exit(1);
+    return;
+  }
+  printNextSteps(answers);
+}
+
+// Function to handle `room302-template cache refresh|list|clear [template...]`
+async function cacheCommand(args) {
+  const [action, ...specs] = args;
+  try {
+    registerTemplates(loadConfig().templates);
+    const sources = specs.map((spec) => parseTemplateSource(spec));
+    if (sources.some((source) => source.type === "local")) {
+      throw new Error("Local templates are used directly and never cached");
+    }
+
+    if (action === "list" && sources.length === 0) {
+      const entries = listCache();
+      const lines = entries.map(({ name, source, sha, fetchedAt }) =>
+        `${name ? `${name} (${source})` : source}  ${sha ? sha.slice(0, 7) : "-"}  fetched ${fetchedAt}`
+      );
+      logger.output(
+        entries.length > 0 ? `${lines.join("\n")}\n\n📦 Cached in ${cacheRoot()}` : "No templates cached yet.",
+        { cache: entries, dir: cacheRoot() }
+      );
+    } else if (action === "refresh") {
+      // With no templates given, refresh everything already in the cache by the spec it was
+      // fetched with, so registry names are kept. One that is no longer registered uses its source.
+      const targets = sources.length > 0
+        ? sources
+        : listCache().map(({ spec, source }) => {
+          try {
+            return parseTemplateSource(spec || source);
+          } catch (error) {
+            return parseTemplateSource(source);
+          }
+        });
+      if (targets.length === 0) {
+        logger.info("No templates cached yet. Cache one with: room302-template cache refresh <template>");
+        return;
+      }
+      let failed = false;
+      for (const source of targets) {
+        const staging = fs.mkdtempSync(path.join(os.tmpdir(), "room302-cache-"));
+        logger.info(`🔄 Fetching ${source.label}...`);
+        if (fetchTemplate(source, path.join(staging, "template"))) {
+          logger.info(`✅ Cached ${source.label}`);
+        } else {
+          failed = true;
+        }
+        shell.rm("-rf", staging);
+      }
+      if (failed) {
+        process.exit(1);
+      }
+    } else if (action === "clear" && sources.length <= 1) {
+      const removed = clearCache(sources[0] || null);
+      logger.info(
+        removed.length > 0
+          ? `🧹 Removed ${removed.map(({ source }) => source).join(", ")} from the cache`
+          : "Nothing to clear."
+      );
+    } else {
+      shell.echo(`Usage: ${commandUsage("cache")}`);
+      process.exit(1);
+    }
+  } catch (error) {
+    logger.error(`🚨 ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Function to handle `room302-template doctor [--json]`. Flags like --supabase local
+// (and the config's defaults) say which features the tools are needed for.
+async function doctorCommand(args) {
+  const json = args.includes("--json");
+  let options;
+  let answers;
+  try {
+    options = parseArgs(args.filter((arg) => arg !== "--json"));
+    const config = loadConfig();
+    registerTemplates(config.templates);
+    const preset = options.preset ? getPreset(config, options.preset) : {};
+    answers = mergeAnswers(config.defaults, preset, options.answers);
+  } catch (error) {
+    logger.error(`🚨 ${error.message}`);
+    process.exit(1);
+    return;
+  }
+
+  const results = runChecks(answers, { offline: options.offline });
+  const missing = missingRequired(results);
+  if (json) {
+    shell.echo(JSON.stringify({ ok: missing.length === 0, checks: results }, null, 2));
+  } else {
+    shell.echo("🩺 Checking the tools room302-template uses...\n");
+    shell.echo(formatReport(results));
+    shell.echo(
+      missing.length === 0
+        ? "\n✅ Everything the chosen features need is ready"
+        : `\n🚨 Missing ${missing.length} required tool${missing.length === 1 ? "" : "s"}: ${missing.map(({ label }) => label).join(", ")}`
+    );
+  }
+  if (missing.length > 0) {
+    process.exit(1);
+  }
+}
+
+// Function to get the branch pushes to origin land on by default: origin's HEAD,
+// or without a remote the current branch
+function defaultBranchName() {
+  const remote = shell.exec("git symbolic-ref --short refs/remotes/origin/HEAD", { silent: true });
+  if (remote.code === 0 && remote.stdout.trim()) {
+    return remote.stdout.trim().replace(/^origin\//, "");
+  }
+  const current = shell.exec("git branch --show-current", { silent: true });
+  return (current.code === 0 && current.stdout.trim()) || "main";
+}
+
+// Function to check the project has no uncommitted changes, so what `command` changes
+// can be reviewed (and undone) on its own. Returns true if it's clean (or `force`
+// says to carry on), false if it isn't, and null outside a git repository.
+function checkCleanTree(command, force = false) {
+  const status = shell.exec("git status --porcelain", { silent: true });
+  if (status.code !== 0) {
+    logger.warn(`⚠️  This isn't a git repository, so review what ${command} changes carefully`);
+    return null;
+  }
+  if (!status.stdout.trim()) {
+    return true;
+  }
+  if (!force) {
+    logger.error(`🚨 The working tree has uncommitted changes. Commit or stash them first, so what ${command} changes can be reviewed on its own, or pass --force.`);
+    return false;
+  }
+  logger.warn("⚠️  The working tree has uncommitted changes, carrying on because of --force");
+  return true;
+}
+
+// Function to apply one feature to the project, with the same functions create uses
+async function addFeature(name, answers) {
+  const { projectName, packageManager } = answers;
+  switch (name) {
+    case "tailwind":
+      return setupTailwind(packageManager);
+    case "nuxt-ui":
+      return setupNuxtUi(packageManager);
+    case "content":
+      return updateFeatures({ projectName, useContent: true }, packageManager);
+    case "openai":
+      return updateFeatures({ projectName, useOpenAi: true }, packageManager);
+    case "supabase":
+      return setupSupabase(answers.supabase, packageManager);
+    case "ci":
+      return writeCiWorkflow(answers);
+    default:
+      return setupDeployTarget(name, packageManager, projectName, {
+        defaultBranch: answers.defaultBranch,
+        ci: fs.existsSync(CI_WORKFLOW_FILE),
+      });
+  }
+}
+
+// Function to handle `room302-template add <feature...>` inside an existing project.
+// Only the pieces the project doesn't have yet are added, so running it twice is
+// harmless. It stops on uncommitted changes unless --force is passed, so what it
+// changed can be reviewed (and undone) on its own.
+async function addCommand(args) {
+  const names = [];
+  const flags = { force: false, local: false, packageManager: null };
+  let answers;
+  try {
+    for (let i = 0; i < args.length; i++) {
+      const [flag, inlineValue] = args[i].split(/=(.*)/s);
+      if (flag === "--force") {
+        flags.force = true;
+      } else if (flag === "--local") {
+        flags.local = true;
+      } else if (flag === "--pm" || flag === "--package-manager") {
+        flags.packageManager = inlineValue !== undefined ? inlineValue : args[++i];
+        if (!PACKAGE_MANAGERS[flags.packageManager]) {
+          throw new Error(`Option ${flag} expects one of ${packageManagerNames().join(", ")}`);
+        }
+      } else if (flag.startsWith("-")) {
+        const suggestion = closestMatch(flag, ["--force", "--local", "--pm", "--package-manager"]);
+        throw new Error(`Unknown option: ${flag}${suggestion ? `. Did you mean ${suggestion}?` : ""}`);
+      } else if (!featureNames().includes(flag)) {
+        const suggestion = closestMatch(flag, featureNames());
+        throw new Error(`Unknown feature "${flag}".${suggestion ? ` Did you mean ${suggestion}?` : ""} Use one of ${featureNames().join(", ")}.`);
+      } else {
+        names.push(flag);
+      }
+    }
+    if (names.length === 0) {
+      throw new Error(`Name the features to add: ${featureNames().join(", ")}`);
+    }
+
+    const state = readProjectState();
+    const packageManager = flags.packageManager || (detectPackageManager() || {}).name;
+    if (!packageManager) {
+      throw new Error(`No package manager found. Install one of ${packageManagerNames().join(", ")} first.`);
+    }
+    const deployTarget = Object.keys(DEPLOY_TARGETS).find((target) => DEPLOY_TARGETS[target].preset === state.nitroPreset);
+    answers = {
+      projectName: JSON.parse(fs.readFileSync("package.json", "utf8")).name || path.basename(process.cwd()),
+      packageManager,
+      supabase: names.includes("supabase") || state.exists("supabase/config.toml") ? (flags.local ? "local" : "hosted") : "none",
+      useOpenAi: names.includes("openai") || state.runtimeConfig.includes("openaiApiKey"),
+      deployTarget: names.find((name) => DEPLOY_TARGETS[name]) || deployTarget || "none",
+    };
+  } catch (error) {
+    logger.error(`🚨 ${error.message}`);
+    process.exit(1);
+    return;
+  }
+
+  const inRepository = checkCleanTree("add", flags.force);
+  if (inRepository === false) {
+    process.exit(1);
+    return;
+  }
+  answers.defaultBranch = inRepository ? defaultBranchName() : "main";
+
+  const added = [];
+  for (const name of names) {
+    // Read fresh each time, since an earlier feature may have changed the project
+    const state = readProjectState();
+    const { label, conflict } = featureFor(name);
+    const reason = conflict && conflict(state);
+    if (reason) {
+      logger.error(`🚨 Can't add ${label}: ${reason}`);
+      process.exit(1);
+      return;
+    }
+    const missing = missingPieces(name, state);
+    // Each feature runs as a step, for --json events and the debug log
+    const step = { id: name, title: `Add ${label}`, run: () => addFeature(name, answers) };
+    if (missing.length === 0) {
+      logger.info(`✨ The project already has ${label}, nothing to add`);
+      logger.skipStep(step, "already added");
+      continue;
+    }
+
+    logger.info(`➕ Adding ${label}: ${missing.join(", ")}`);
+    if (!(await runStep(step))) {
+      writeDebugLog(path.resolve(LOG_FILENAME));
+      logger.error(`🚨 Adding ${label} failed. See what changed with git status, and undo it with git checkout . && git clean -fd`);
+      process.exit(1);
+      return;
+    }
+    if (DEPLOY_TARGETS[name] && fs.existsSync(CI_WORKFLOW_FILE) && !names.includes("ci")) {
+      logger.warn(`⚠️  ${CI_WORKFLOW_FILE} was written before, so it doesn't deploy to ${DEPLOY_TARGETS[name].label}. Delete it and run room302-template add ci to write it again.`);
+    }
+    added.push(name);
+  }
+
+  // Supabase and OpenAI need variables in .env
+  if (added.some((name) => ["supabase", "openai"].includes(name))) {
+    if (!(await runStep({ id: "env", title: "Write the env files", run: () => writeEnvFiles(answers) }))) {
+      writeDebugLog(path.resolve(LOG_FILENAME));
+      process.exit(1);
+      return;
+    }
+  }
+  if (added.length > 0) {
+    const labels = added.map((name) => featureFor(name).label);
+    logger.info(`\n✅ Added ${labels.join(", ")}. Review the changes with git diff, then commit them.`);
+  }
+}
+
+// Function to handle `room302-template update` inside a project: fetch the template
+// it was created from and merge everything that changed there since into the project
+async function updateCommand(args) {
+  const flags = { dryRun: false, force: false, ref: null };
+  let record;
+  let source;
+  try {
+    for (let i = 0; i < args.length; i++) {
+      const [flag, inlineValue] = args[i].split(/=(.*)/s);
+      if (flag === "--dry-run") {
+        flags.dryRun = true;
+      } else if (flag === "--force") {
+        flags.force = true;
+      } else if (flag === "--ref") {
+        flags.ref = inlineValue !== undefined ? inlineValue : args[++i];
+        if (!flags.ref) {
+          throw new Error("Option --ref requires a value");
+        }
+      } else {
+        const suggestion = closestMatch(flag, ["--dry-run", "--force", "--ref"]);
+        throw new Error(`Unknown option: ${flag}${suggestion ? `. Did you mean ${suggestion}?` : ""}`);
+      }
+    }
+    record = readTemplateRecord();
+    source = parseTemplateSource(record.source);
+    if (source.type === "local" || !record.sha) {
+      throw new Error(`The project was created from ${record.source}, which has no git history to update from`);
+    }
+    if (flags.ref) {
+      source = { ...source, ref: flags.ref, label: `${source.type === "github" ? source.repo : source.url}#${flags.ref}` };
+    }
+  } catch (error) {
+    logger.error(`🚨 ${error.message}`);
+    process.exit(1);
+    return;
+  }
+
+  if (!flags.dryRun && checkCleanTree("update", flags.force) === false) {
+    process.exit(1);
+    return;
+  }
+
+  const staging = fs.mkdtempSync(path.join(os.tmpdir(), "room302-update-"));
+  const templateDir = path.join(staging, "template");
+  const logFile = path.resolve(LOG_FILENAME);
+  let conflicts = [];
+  try {
+    // Fetching and merging run as steps, for --json events and the debug log
+    logger.info(`🔄 Fetching ${source.label}...`);
+    const fetch = { id: "fetch-template", title: "Fetch the template", run: () => fetchTemplate(source, templateDir, { cache: false }) };
+    if (!(await runStep(fetch))) {
+      writeDebugLog(logFile);
+      process.exit(1);
+      return;
+    }
+    const sha = templateSha(templateDir);
+    if (sha === record.sha) {
+      logger.info(`✅ Already up to date with ${source.label} (${sha.slice(0, 7)})`);
+      return;
+    }
+
+    let results;
+    const merge = {
+      id: "merge",
+      title: "Merge the template's changes",
+      run: () => {
+        results = mergeTemplateChanges(templateDir, record.sha, templateChanges(templateDir, record.sha), { dryRun: flags.dryRun });
+      },
+    };
+    if (!(await runStep(merge))) {
+      writeDebugLog(logFile);
+      process.exit(1);
+      return;
+    }
+    logger.info(`\n📋 Changes in ${source.label} from ${record.sha.slice(0, 7)} to ${sha.slice(0, 7)}${flags.dryRun ? " (dry run, nothing written)" : ""}:\n`);
+    logger.output(formatSummary(results) || "Nothing that differs from the project.", { changes: results });
+    if (!flags.dryRun) {
+      writeTemplateRecord({ ...record, source: source.label, sha });
+    }
+    conflicts = results.filter(({ outcome }) => outcome === "conflict").map(({ file }) => file);
+  } catch (error) {
+    logger.error(`🚨 ${error.message}`);
+    process.exit(1);
+    return;
+  } finally {
+    shell.rm("-rf", staging);
+  }
+
+  if (flags.dryRun) {
+    return;
+  }
+  if (conflicts.length > 0) {
+    logger.warn(`\n⚠️  Resolve the conflicts in ${conflicts.join(", ")}, then commit. ${TEMPLATE_RECORD} already points at the new commit.`);
+    process.exit(1);
+    return;
+  }
+  logger.info("\n✅ Updated! Review the changes with git diff, then commit them.");
+}
+
+// Function to list the options that answer create's questions, for its --help.
+// Flags for the same question share a row, and list questions show their choices.
+function questionOptions(questionList = questions) {
+  const rows = new Map();
+  for (const [flag, spec] of Object.entries(cliFlags)) {
+    const question = questionList.find(({ name }) => name === spec.name);
+    const row = rows.get(spec.name) || { flags: [], takesValue: false, question };
+    row.flags.push(flag);
+    row.takesValue = row.takesValue || !("value" in spec);
+    rows.set(spec.name, row);
+  }
+  return [...rows.values()].map(({ flags, takesValue, question }) => {
+    const message = question.message.replace(/^[^\w]+/u, "").replace(/:$/, "");
+    // Templates can also be owner/repo or a git URL, so the registry isn't the whole list
+    const choices = question.type === "list" && question.name !== "template" ? ` (${choiceValues(question).join(", ")})` : "";
+    return [`${flags.join(", ")}${takesValue ? " <value>" : ""}`, `${message}${choices}`];
+  });
+}
+
+// Function to show the help for a command, or every command without one
+function showHelp(command) {
+  if (!command) {
+    shell.echo(formatHelp(version));
+  } else if (commands[command]) {
+    shell.echo(formatCommandHelp(command, command === "create" ? questionOptions() : []));
+  } else {
+    unknownCommand(command);
+  }
+}
+
+// Function to stop on a command that doesn't exist, with the nearest one if it looks mistyped
+function unknownCommand(command, hint = "👉 See every command with: room302-template --help") {
+  const suggestion = closestMatch(command, Object.keys(commands));
+  logger.error(`🚨 Unknown command "${command}".${suggestion ? ` Did you mean ${suggestion}?` : ""}`);
+  logger.error(hint);
+  process.exit(1);
+}
+
+// The handler of each command, which gets the arguments after the command's name
+const commands = {
+  create: (args) => main(args),
+  add: (args) => addCommand(args),
+  update: (args) => updateCommand(args),
+  doctor: (args) => doctorCommand(args),
+  resume: (args) => resumeCommand(args),
+  preset: (args) => presetCommand(args),
+  cache: (args) => cacheCommand(args),
+  help: async ([command]) => showHelp(command),
+};
+
+// Function to set up logging from --quiet, --verbose and --json, which every
+// command takes, and return the other arguments. doctor keeps --json for its report.
+function configureLogging(args) {
+  const flags = { quiet: false, verbose: false, json: false };
+  const doctor = args[0] === "doctor";
+  const rest = args.filter((arg) => {
+    if (arg === "--quiet" || arg === "-q") {
+      flags.quiet = true;
+    } else if (arg === "--verbose") {
+      flags.verbose = true;
+    } else if (arg === "--json" && !doctor) {
+      flags.json = true;
+    } else {
+      return true;
+    }
+    return false;
+  });
+  logger.configure(flags);
+  return rest;
+}
+
+// Function to route the command line to a command. Without one it's create,
+// so `room302-template my-app` keeps working, unless the name looks like a
+// mistyped command.
+async function cli(args) {
+  let argv;
+  try {
+    argv = configureLogging(args);
+  } catch (error) {
+    logger.error(`🚨 ${error.message}`);
+    process.exit(1);
+    return;
+  }
+  const [first, ...rest] = argv;
+  if (first === "--version" || first === "-v") {
+    shell.echo(version);
+    return;
+  }
+  if (first === "--help" || first === "-h") {
+    return showHelp(rest[0]);
+  }
+
+  if (commands[first]) {
+    if (first !== "help" && (rest.includes("--help") || rest.includes("-h"))) {
+      return showHelp(first);
+    }
+    return commands[first](rest);
+  }
+  if (argv.includes("--help") || argv.includes("-h")) {
+    return showHelp("create");
+  }
+  // A name one edit from a command is a typo. Ones like app or api are two edits from add,
+  // so further off only names that can't be a project count
+  const names = Object.keys(commands);
+  const mistyped =
+    first && !first.startsWith("-") && (closestMatch(first, names, 1) || (!isValidProjectName(first) && closestMatch(first, names)));
+  if (mistyped) {
+    return unknownCommand(first, `👉 To create a project called ${first}, use: room302-template create ${first}`);
+  }
+  return main(argv);
 }
 
 // Move the main() call to only run when file is executed directly
 if (require.main === module) {
-  main();
-}
-
-/*
-Instructions for adding a new step:
-
-1. Define a new question in the `inquirer.prompt` array to gather the necessary input from the user.
-2. Add a new property to the `answers` object destructuring to capture the user's input.
-3. Implement the logic for the new step in a `try/catch` block so that any errors are caught and logged.
-4. If the new step involves modifying files, make sure to update the relevant files (e.g., package.json, nuxt.config.ts) accordingly.
-5. If the new step requires executing shell commands, use `shell.exec` and handle any potential errors.
-6. Add appropriate error handling and logging for the new step.
-
-Example: Adding a new step to create a README.md file
-
-1. Add a new question to the `inquirer.prompt` array:
-   {
-     type: 'confirm',
-     name: 'createReadme',
-     message: '📝 Do you want to create a README.md file?',
-     default: true,
-   }
-
-2. Add the new property to the `answers` object destructuring:
-   const { ..., createReadme } = answers;
-
-3. Implement the logic for creating the README.md file:
-   try {
-     if (createReadme) {
-       fs.writeFileSync('README.md', `# ${projectName}\n\nThis is a README file for ${projectName}.`);
-       shell.echo('📝 README.md file created successfully!');
-     }
-   } catch (error) {
-     shell.echo('🚨 Error occurred while creating README.md file:', error);
-   }
-
-4. The new step is now added to the script!
-*/
+  cli(process.argv.slice(2));
+}
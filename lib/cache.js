@@ -0,0 +1,160 @@
+// Offline template cache: a copy of every fetched template under ~/.cache/room302-template, keyed by template and ref
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const shell = require("shelljs");
+const { logger } = require("./logger");
+
+module.exports = {
+  cacheRoot,
+  cacheKey,
+  isCached,
+  saveToCache,
+  restoreFromCache,
+  listCache,
+  clearCache,
+};
+
+// Function to find the cache folder, honouring XDG_CACHE_HOME
+function cacheRoot() {
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache");
+  return path.join(base, "room302-template");
+}
+
+// Function to get what identifies a template's repository, whatever ref is checked out
+function sourceId(source) {
+  return source.type === "github" ? source.repo : source.url;
+}
+
+// Function to name a template's cache entry, e.g. github-room302studio_nuxt-template@default
+function cacheKey(source) {
+  const slug = (value) => value.replace(/^[a-z]+:\/\//, "").replace(/[^\w.-]+/g, "_");
+  return `${source.type}-${slug(sourceId(source))}@${slug(source.ref || "default")}`;
+}
+
+// Function to get the folder holding a cached template and the file describing it
+function entryPaths(key) {
+  const dir = path.join(cacheRoot(), key);
+  return { dir, info: `${dir}.json` };
+}
+
+// Function to check whether a template has been cached
+function isCached(source) {
+  return source.type !== "local" && fs.existsSync(entryPaths(cacheKey(source)).info);
+}
+
+// Function to copy every entry of one folder into another. The target has to be
+// empty (or not exist yet), since anything already in it would be overwritten.
+function copyContents(from, to) {
+  if (fs.existsSync(to) && fs.readdirSync(to).length > 0) {
+    throw new Error(`${to} already exists and isn't empty`);
+  }
+  fs.mkdirSync(to, { recursive: true });
+  const entries = fs.readdirSync(from).map((entry) => path.join(from, entry));
+  if (entries.length > 0) {
+    shell.cp("-R", entries, to);
+  }
+  return !shell.error();
+}
+
+// Function to store a freshly fetched template so it can be used offline later.
+// A cache that can't be written only costs offline support, so it never fails the run.
+function saveToCache(source, dir) {
+  const key = cacheKey(source);
+  const { dir: target, info } = entryPaths(key);
+  try {
+    shell.rm("-rf", target);
+    if (!copyContents(dir, target)) {
+      throw new Error(`copying it into ${target} failed`);
+    }
+    const head = shell.exec(`git -C ${target} rev-parse HEAD`, { silent: true });
+    fs.writeFileSync(
+      info,
+      JSON.stringify(
+        {
+          key,
+          type: source.type,
+          id: sourceId(source),
+          ref: source.ref || null,
+          name: source.name || null,
+          source: source.ref ? `${sourceId(source)}#${source.ref}` : sourceId(source),
+          // What was passed to --template, so `cache refresh` fetches it by the same name
+          spec: source.name || source.label,
+          sha: (head.code === 0 && (head.stdout || "").trim()) || null,
+          fetchedAt: new Date().toISOString(),
+        },
+        null,
+        2
+      ) + "\n"
+    );
+    return true;
+  } catch (error) {
+    logger.warn(`⚠️  Couldn't cache the template for offline use: ${error.message}`);
+    return false;
+  }
+}
+
+// Function to copy a cached template into a new directory, returning false if it isn't cached
+function restoreFromCache(source, dir) {
+  const { dir: cached, info } = entryPaths(cacheKey(source));
+  if (!fs.existsSync(info)) {
+    logger.error(`🚨 ${source.label} isn't cached yet, so it can't be used offline.`);
+    logger.error(`👉 While online, run: room302-template cache refresh ${source.label}`);
+    return false;
+  }
+
+  const { fetchedAt } = JSON.parse(fs.readFileSync(info, "utf8"));
+  logger.info(`📦 Using the cached copy of ${source.label} from ${fetchedAt}`);
+  try {
+    if (!copyContents(cached, dir)) {
+      logger.error(`🚨 Oops! Copying the cached template from ${cached} failed 😿`);
+      return false;
+    }
+  } catch (error) {
+    logger.error(`🚨 ${error.message}, so the cached template can't be copied into it`);
+    return false;
+  }
+  return true;
+}
+
+// Function to list the cached templates, skipping anything that isn't a valid entry
+function listCache() {
+  const root = cacheRoot();
+  if (!fs.existsSync(root)) {
+    return [];
+  }
+  return fs
+    .readdirSync(root)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .map((file) => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(root, file), "utf8"));
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter((entry) => entry && typeof entry.key === "string" && typeof entry.source === "string");
+}
+
+// Function to remove cached templates: all of them, or every ref of one
+// template (just the given ref if the source has one). Returns what was removed.
+function clearCache(source = null) {
+  const removed = listCache().filter(
+    (entry) =>
+      !source ||
+      (entry.type === source.type &&
+        entry.id === sourceId(source) &&
+        (!source.ref || entry.ref === source.ref))
+  );
+  if (!source) {
+    // Also catches half-written entries left by an interrupted run
+    shell.rm("-rf", cacheRoot());
+    return removed;
+  }
+  for (const { key } of removed) {
+    const { dir, info } = entryPaths(key);
+    shell.rm("-rf", dir, info);
+  }
+  return removed;
+}
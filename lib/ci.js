@@ -0,0 +1,111 @@
+// The CI workflow: checks and a deploy job matched to the chosen stack
+const { DEPLOY_TARGETS, setupNodeSteps } = require("./deploy");
+const { pmCommand } = require("./package-managers");
+
+const CI_WORKFLOW_FILE = ".github/workflows/ci.yml";
+
+// package.json scripts that get a job of their own, when the template has them
+const CHECK_SCRIPTS = ["lint", "typecheck", "test", "build"];
+
+module.exports = {
+  CI_WORKFLOW_FILE,
+  CHECK_SCRIPTS,
+  ciWorkflow,
+};
+
+// Function to build a job that runs a package.json script
+function scriptJob(name, packageManager, setup) {
+  return [
+    `  ${name}:`,
+    "    runs-on: ubuntu-latest",
+    "    steps:",
+    ...setup,
+    `      - run: ${pmCommand(packageManager, "run", name)}`,
+  ];
+}
+
+// Function to build the job that applies every Supabase migration to a fresh
+// database and lints the resulting schema
+function supabaseJob() {
+  return [
+    "  supabase:",
+    "    runs-on: ubuntu-latest",
+    "    steps:",
+    "      - uses: actions/checkout@v4",
+    "      - uses: supabase/setup-cli@v1",
+    "        with:",
+    "          version: latest",
+    "      - run: supabase db start",
+    "      - run: supabase db lint --level error",
+  ];
+}
+
+// Function to build the job that deploys pushes to the default branch once every check passed
+function deployJob(target, packageManager, needs, setup) {
+  const header = [
+    "  deploy:",
+    ...(needs.length > 0 ? [`    needs: [${needs.join(", ")}]`] : []),
+    "    if: github.event_name == 'push'",
+  ];
+  const secret = (name) => `\${{ secrets.${name} }}`;
+
+  if (target === "github-pages") {
+    // The Pages workflow (lib/deploy.js) is only called from here, so it waits for the checks
+    return [
+      ...header,
+      "    permissions:",
+      "      contents: read",
+      "      pages: write",
+      "      id-token: write",
+      `    uses: ./${DEPLOY_TARGETS[target].file}`,
+    ];
+  }
+
+  const env = DEPLOY_TARGETS[target].ciSecrets.map((name) => `      ${name}: ${secret(name)}`);
+  const run = {
+    netlify: ["      - run: npx netlify-cli deploy --build --prod"],
+    vercel: [
+      `      - run: npx vercel pull --yes --environment=production --token=${secret("VERCEL_TOKEN")}`,
+      `      - run: npx vercel build --prod --token=${secret("VERCEL_TOKEN")}`,
+      `      - run: npx vercel deploy --prebuilt --prod --token=${secret("VERCEL_TOKEN")}`,
+    ],
+  }[target];
+  return [...header, "    runs-on: ubuntu-latest", "    env:", ...env, "    steps:", ...setup, ...run];
+}
+
+// Function to build .github/workflows/ci.yml for the answers, or null if there is
+// nothing to run. `scripts` are the project's package.json scripts; `lockfile`
+// and `nvmrc` go to setupNodeSteps.
+function ciWorkflow(answers, { scripts = {}, lockfile = null, nvmrc = false } = {}) {
+  const packageManager = answers.packageManager || "yarn";
+  const setup = setupNodeSteps(packageManager, { lockfile, nvmrc });
+
+  const jobs = CHECK_SCRIPTS.filter((name) => scripts[name]).map((name) => scriptJob(name, packageManager, setup));
+  const needs = CHECK_SCRIPTS.filter((name) => scripts[name]);
+  if (answers.supabase === "hosted" || answers.supabase === "local") {
+    jobs.push(supabaseJob());
+    needs.push("supabase");
+  }
+  if (DEPLOY_TARGETS[answers.deployTarget]) {
+    jobs.push(deployJob(answers.deployTarget, packageManager, needs, setup));
+  }
+  if (jobs.length === 0) {
+    return null;
+  }
+
+  return `name: CI
+
+on:
+  push:
+    branches: [${answers.defaultBranch || "main"}]
+  pull_request:
+
+concurrency:
+  group: ci-\${{ github.ref }}
+  # Newer commits replace a pull request's runs, but never cut a deploy short
+  cancel-in-progress: \${{ github.event_name == 'pull_request' }}
+
+jobs:
+${jobs.map((job) => job.join("\n")).join("\n\n")}
+`;
+}
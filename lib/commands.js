@@ -0,0 +1,154 @@
+// Commands: what each one is for and its --help, and suggestions for mistyped ones
+const { featureNames } = require("./features");
+
+const BIN = "room302-template";
+
+// In the order `--help` lists them. `usage` follows the binary's name, and
+// `options` are [flags, description] rows; create's come from its questions.
+const COMMANDS = {
+  create: {
+    usage: "create [name] [options]",
+    summary: "Create a project from a template (the default command)",
+    details: "Answer the prompts, or pass answers as options to skip them.",
+    options: [
+      ["-y, --yes", "Use the defaults for every question not answered by an option"],
+      ["--preset <name>", "Answer the questions with a saved preset"],
+      ["--set <name=value>", "Answer a question from the template's room302.json"],
+      ["--dry-run", "Print what would happen without changing anything"],
+      ["--offline", "Use the cached template and skip the git host"],
+      ["--keep-on-failure", "Leave everything in place when a step fails"],
+    ],
+  },
+  add: {
+    usage: "add <feature...> [options]",
+    summary: "Add features to an existing project, only the pieces it doesn't have yet",
+    details: `Run it inside the project. Features: ${featureNames().join(", ")}.`,
+    options: [
+      ["--local", "Set Supabase up to run locally in Docker"],
+      ["--pm <value>", "Package manager to install with (detected from the lockfile by default)"],
+      ["--force", "Carry on even though the working tree has uncommitted changes"],
+    ],
+  },
+  update: {
+    usage: "update [options]",
+    summary: "Merge what changed in the template since the project was created",
+    details: "Run it inside the project. The template and commit it was created from are in .room302-template.json.",
+    options: [
+      ["--ref <value>", "Update to this branch, tag or commit of the template instead"],
+      ["--dry-run", "List what would change without writing anything"],
+      ["--force", "Carry on even though the working tree has uncommitted changes"],
+    ],
+  },
+  doctor: {
+    usage: "doctor [options] [--json]",
+    summary: "Check the tools a run needs are installed and signed in",
+    details: "Pass create's options to check for those features.",
+    options: [["--json", "Print the report as JSON"]],
+  },
+  resume: {
+    usage: "resume [dir]",
+    summary: "Carry on with a setup that failed partway",
+    details: "Reads the journal in dir (the current directory by default) and retries from the first step that didn't finish.",
+    options: [
+      ["--offline", "Skip the git host again"],
+      ["--keep-on-failure", "Leave everything in place when a step fails"],
+    ],
+  },
+  preset: {
+    usage: "preset save <name> | preset list",
+    summary: "Save the last run's answers as a preset, or list the saved ones",
+    options: [],
+  },
+  cache: {
+    usage: "cache refresh [template...] | cache list | cache clear [template]",
+    summary: "Fetch, list or remove cached templates",
+    options: [],
+  },
+  help: {
+    usage: "help [command]",
+    summary: "Show the help for a command",
+    options: [],
+  },
+};
+
+module.exports = {
+  BIN,
+  COMMANDS,
+  commandNames,
+  commandUsage,
+  closestMatch,
+  formatHelp,
+  formatCommandHelp,
+};
+
+// Function to list the commands
+function commandNames() {
+  return Object.keys(COMMANDS);
+}
+
+// Function to get how a command is used, with the binary's name
+function commandUsage(name) {
+  return `${BIN} ${COMMANDS[name].usage}`;
+}
+
+// Function to count the single-character edits between two strings
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Function to find the candidate a mistyped name was probably meant to be:
+// the nearest within maxDistance edits, or null if nothing is that close
+function closestMatch(name, candidates, maxDistance = 2) {
+  let best = null;
+  let bestDistance = maxDistance + 1;
+  for (const candidate of candidates) {
+    const distance = editDistance(name, candidate);
+    if (distance < bestDistance && distance < candidate.length) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+// Function to lay out [left, right] rows as two aligned columns
+function columns(rows) {
+  const width = Math.max(...rows.map(([left]) => left.length));
+  return rows.map(([left, right]) => `  ${left.padEnd(width)}  ${right}`).join("\n");
+}
+
+// Function to build the overall --help: every command and the global options
+function formatHelp(version) {
+  return [
+    `${BIN} ${version}`,
+    `Usage: ${BIN} <command> [options]`,
+    `Commands:\n${columns(commandNames().map((name) => [name, COMMANDS[name].summary]))}`,
+    `Options:\n${columns([
+      ["-h, --help", "Show help, for a command with <command> --help"],
+      ["-v, --version", "Show the version"],
+      ["-q, --quiet", "Only print warnings and errors"],
+      ["--verbose", "Also print every command that runs"],
+      ["--json", "Print one JSON event per line: steps and log messages"],
+    ])}`,
+  ].join("\n\n");
+}
+
+// Function to build a command's --help. `extraOptions` are more [flags, description]
+// rows, which create uses for the options that answer its questions.
+function formatCommandHelp(name, extraOptions = []) {
+  const { summary, details, options } = COMMANDS[name];
+  const rows = [...options, ...extraOptions];
+  return [
+    `Usage: ${commandUsage(name)}`,
+    details ? `${summary}. ${details}` : `${summary}.`,
+    ...(rows.length > 0 ? [`Options:\n${columns(rows)}`] : []),
+  ].join("\n\n");
+}
@@ -0,0 +1,107 @@
+// Reading and writing .room302rc.json config files and presets
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const RC_FILENAME = ".room302rc.json";
+
+module.exports = {
+  RC_FILENAME,
+  homeConfigPath,
+  readConfigFile,
+  loadConfig,
+  getPreset,
+  saveLastRun,
+  savePreset,
+};
+
+// Function to get the path of the user-wide config file
+function homeConfigPath() {
+  return path.join(os.homedir(), RC_FILENAME);
+}
+
+// Function to read a single config file, returning an empty config if it doesn't exist
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not parse ${file}: ${error.message}`);
+  }
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`${file} must contain a JSON object`);
+  }
+  for (const key of ["defaults", "presets", "templates"]) {
+    if (config[key] !== undefined && (typeof config[key] !== "object" || Array.isArray(config[key]))) {
+      throw new Error(`"${key}" in ${file} must be an object`);
+    }
+  }
+  const { plugins } = config;
+  if (plugins !== undefined && (!Array.isArray(plugins) || plugins.some((name) => typeof name !== "string"))) {
+    throw new Error(`"plugins" in ${file} must be a list of npm package names`);
+  }
+  return config;
+}
+
+// Function to load the home and project config files, the project one winning
+function loadConfig(cwd = process.cwd()) {
+  const files = [homeConfigPath(), path.join(cwd, RC_FILENAME)];
+  // Don't read the same file twice when running from the home directory
+  const uniqueFiles = files.filter((file, index) => files.indexOf(file) === index);
+
+  return uniqueFiles.map(readConfigFile).reduce(
+    (merged, config) => ({
+      defaults: { ...merged.defaults, ...config.defaults },
+      presets: { ...merged.presets, ...config.presets },
+      templates: { ...merged.templates, ...config.templates },
+      plugins: [...new Set([...merged.plugins, ...(config.plugins || [])])],
+      lastRun: config.lastRun || merged.lastRun,
+    }),
+    { defaults: {}, presets: {}, templates: {}, plugins: [], lastRun: undefined }
+  );
+}
+
+// Function to look up a named preset
+function getPreset(config, name) {
+  const preset = config.presets[name];
+  if (!preset) {
+    const known = Object.keys(config.presets);
+    throw new Error(
+      `Unknown preset "${name}". ${known.length ? `Available presets: ${known.join(", ")}` : "No presets saved yet."}`
+    );
+  }
+  return preset;
+}
+
+// Function to update the user-wide config file in place
+function updateHomeConfig(update) {
+  const file = homeConfigPath();
+  const config = update(readConfigFile(file));
+  fs.writeFileSync(file, JSON.stringify(config, null, 2) + "\n");
+  return file;
+}
+
+// Function to remember the answers of this run for `preset save`
+function saveLastRun(answers) {
+  // The project name, description, homepage, topics and remote are different every time, so never
+  // keep them. Nor the copyright holder, which falls back to the project's authors when left empty.
+  const { projectName, description, homepage, topics, remoteUrl, copyrightHolder, ...reusable } = answers;
+  return updateHomeConfig((config) => ({ ...config, lastRun: reusable }));
+}
+
+// Function to store the answers from the last run as a named preset
+function savePreset(name) {
+  const { lastRun } = readConfigFile(homeConfigPath());
+  if (!lastRun) {
+    throw new Error("No previous run to save. Create a project first, then save its answers as a preset.");
+  }
+  return updateHomeConfig((config) => ({
+    ...config,
+    presets: { ...config.presets, [name]: lastRun },
+  }));
+}
@@ -0,0 +1,136 @@
+// Deploy targets: the config file, Nitro preset and link command for each host
+const { PACKAGE_MANAGERS, pmCommand } = require("./package-managers");
+
+const DEPLOY_TARGETS = {
+  netlify: {
+    label: "Netlify",
+    preset: "netlify",
+    file: "netlify.toml",
+    link: "netlify link",
+    // What the CI deploy job needs (see lib/ci.js)
+    ciSecrets: ["NETLIFY_AUTH_TOKEN", "NETLIFY_SITE_ID"],
+  },
+  vercel: {
+    label: "Vercel",
+    preset: "vercel",
+    file: "vercel.json",
+    link: "vercel link",
+    ciSecrets: ["VERCEL_TOKEN", "VERCEL_ORG_ID", "VERCEL_PROJECT_ID"],
+  },
+  "github-pages": {
+    label: "GitHub Pages",
+    preset: "github_pages",
+    file: ".github/workflows/deploy.yml",
+    // Switches the repository's Pages source to GitHub Actions; {owner}/{repo} is filled in by gh
+    link: "gh api -X POST repos/{owner}/{repo}/pages -f build_type=workflow",
+    ciSecrets: [],
+  },
+};
+
+module.exports = {
+  DEPLOY_TARGETS,
+  deployTargetNames,
+  deployConfig,
+  setupNodeSteps,
+};
+
+// Function to list the supported deploy targets
+function deployTargetNames() {
+  return Object.keys(DEPLOY_TARGETS);
+}
+
+// Function to get the file a deploy target needs: { file, content, preset, link }.
+// `lockfile` and `nvmrc` are passed on to setupNodeSteps; with `ci`, the CI workflow
+// runs the GitHub Pages deploy once its checks pass, rather than every push.
+function deployConfig(target, { packageManager = "yarn", projectName, defaultBranch = "main", lockfile = null, nvmrc = false, ci = false }) {
+  const deployTarget = DEPLOY_TARGETS[target];
+  if (!deployTarget) {
+    throw new Error(`Unknown deploy target "${target}". Use one of ${deployTargetNames().join(", ")}.`);
+  }
+  const build = pmCommand(packageManager, "run", "build");
+  const content = {
+    netlify: () => `[build]
+  command = "${build}"
+  publish = "dist"
+`,
+    vercel: () =>
+      `${JSON.stringify({ $schema: "https://openapi.vercel.sh/vercel.json", framework: "nuxtjs", buildCommand: build }, null, 2)}\n`,
+    "github-pages": () => pagesWorkflow(packageManager, projectName, { defaultBranch, lockfile, nvmrc, ci }),
+  }[target]();
+  return { file: deployTarget.file, content, preset: deployTarget.preset, link: deployTarget.link };
+}
+
+// Function to get the workflow steps that set up Node and the package manager, then
+// install the dependencies. With a `lockfile` the install is frozen to it and the
+// package manager's cache is keyed on it; `nvmrc` takes the Node version from .nvmrc.
+function setupNodeSteps(packageManager, { lockfile = null, nvmrc = false } = {}) {
+  const steps = ["      - uses: actions/checkout@v4"];
+  if (packageManager === "bun") {
+    steps.push("      - uses: oven-sh/setup-bun@v2");
+  } else if (packageManager !== "npm") {
+    // yarn and pnpm come with Node through corepack
+    steps.push("      - run: corepack enable");
+  }
+  steps.push(
+    "      - uses: actions/setup-node@v4",
+    "        with:",
+    nvmrc ? "          node-version-file: .nvmrc" : "          node-version: 20"
+  );
+  if (lockfile && packageManager === "bun") {
+    // setup-node can't cache bun, so its install cache is restored directly
+    steps.push(
+      "      - uses: actions/cache@v4",
+      "        with:",
+      "          path: ~/.bun/install/cache",
+      `          key: bun-\${{ runner.os }}-\${{ hashFiles('${lockfile}') }}`
+    );
+  } else if (lockfile) {
+    steps.push(`          cache: ${packageManager}`, `          cache-dependency-path: ${lockfile}`);
+  }
+  steps.push(`      - run: ${PACKAGE_MANAGERS[packageManager][lockfile ? "ci" : "install"]}`);
+  return steps;
+}
+
+// Function to build the GitHub Actions workflow that deploys the site to GitHub Pages
+// on every push to the default branch, or when the CI workflow calls it. Project pages
+// are served from /<repository>/, so that is the app's base URL.
+function pagesWorkflow(packageManager, projectName, { defaultBranch, lockfile, nvmrc, ci }) {
+  const trigger = ci ? "  workflow_call:" : `  push:\n    branches: [${defaultBranch}]`;
+  return `name: Deploy to GitHub Pages
+
+on:
+${trigger}
+  workflow_dispatch:
+
+permissions:
+  contents: read
+  pages: write
+  id-token: write
+
+concurrency:
+  group: pages
+  cancel-in-progress: false
+
+jobs:
+  build:
+    runs-on: ubuntu-latest
+    steps:
+${setupNodeSteps(packageManager, { lockfile, nvmrc }).join("\n")}
+      - run: ${pmCommand(packageManager, "run", "build")}
+        env:
+          NUXT_APP_BASE_URL: /${projectName}/
+      - uses: actions/upload-pages-artifact@v3
+        with:
+          path: ./.output/public
+
+  deploy:
+    needs: build
+    runs-on: ubuntu-latest
+    environment:
+      name: github-pages
+      url: \${{ steps.deployment.outputs.page_url }}
+    steps:
+      - id: deployment
+        uses: actions/deploy-pages@v4
+`;
+}
@@ -0,0 +1,222 @@
+// `doctor`: the tools a run needs, which of them the chosen features require, and what to do about the missing ones
+const fs = require("fs");
+const path = require("path");
+const shell = require("shelljs");
+const semver = require("semver");
+const { PACKAGE_MANAGERS, packageManagerNames } = require("./package-managers");
+const { gitHostFor } = require("./git-hosts");
+
+// The oldest Node.js the CLI and the template run on
+const MIN_NODE_VERSION = "18.0.0";
+
+const NVMRC_FILE = ".nvmrc";
+
+module.exports = {
+  MIN_NODE_VERSION,
+  parseNodeVersion,
+  nodeRange,
+  checkNode,
+  runChecks,
+  missingRequired,
+  formatReport,
+};
+
+// Function to read a version like "v18.17" or "20" from .nvmrc, or null for an
+// alias like "lts/*" or "node", which can't be compared
+function parseNodeVersion(value = "") {
+  const version = value.trim();
+  if (!/^v?\d+(\.\d+){0,2}$/.test(version)) {
+    return null;
+  }
+  return semver.coerce(version).version;
+}
+
+// Function to get the Node.js versions that will do: the one the .nvmrc in `dir`
+// pins or newer, otherwise anything from MIN_NODE_VERSION up. Without a `dir`
+// (before a project exists) only the minimum applies.
+function nodeRange(dir = process.cwd()) {
+  const file = dir && path.join(dir, NVMRC_FILE);
+  const pinned = file && fs.existsSync(file) ? parseNodeVersion(fs.readFileSync(file, "utf8")) : null;
+  if (pinned) {
+    return { range: `>=${pinned}`, version: pinned, source: NVMRC_FILE };
+  }
+  return { range: `>=${MIN_NODE_VERSION}`, version: MIN_NODE_VERSION, source: "room302-template" };
+}
+
+// Function to get a tool's version from its --version output, or null if it
+// doesn't print one
+function toolVersion(command) {
+  const result = shell.exec(command, { silent: true });
+  if (result.code !== 0) {
+    return null;
+  }
+  const version = semver.coerce(result.stdout || "");
+  return version ? version.version : null;
+}
+
+// Function to check the Node.js running the CLI, which is the one on your PATH,
+// against the .nvmrc in `cwd`
+function checkNode(answers, { cwd = process.cwd() } = {}) {
+  const version = semver.clean(process.version);
+  const { range, version: wanted, source } = nodeRange(cwd);
+  if (!semver.satisfies(version, range)) {
+    return {
+      ok: false,
+      version,
+      detail: `${source} needs ${range}`,
+      hint: `nvm install ${wanted} && nvm use ${wanted}`,
+    };
+  }
+  return { ok: true, version };
+}
+
+// Function to check a command-line tool is installed, with its version
+function checkTool(cli, installHint) {
+  if (!shell.which(cli)) {
+    return { ok: false, detail: "not found", hint: installHint };
+  }
+  return { ok: true, version: toolVersion(`${cli} --version`) };
+}
+
+// Function to check the git host's CLI is installed and signed in
+function checkGitHost(answers) {
+  const host = gitHostFor(answers.gitHost);
+  const result = checkTool(host.cli, host.installHint);
+  if (result.ok && shell.exec(host.authStatus(answers.gitHostUrl || host.defaultUrl), { silent: true }).code !== 0) {
+    return { ...result, ok: false, detail: "not signed in", hint: host.authHint };
+  }
+  return result;
+}
+
+// Function to check the chosen package manager is installed, or with "auto"
+// that at least one is, since the template's lockfile decides
+function checkPackageManager(answers) {
+  const name = answers.packageManager;
+  if (PACKAGE_MANAGERS[name]) {
+    return checkTool(name, PACKAGE_MANAGERS[name].installHint);
+  }
+  const installed = packageManagerNames().filter((manager) => shell.which(manager));
+  if (installed.length === 0) {
+    return { ok: false, detail: "none found", hint: PACKAGE_MANAGERS.npm.installHint };
+  }
+  return { ok: true, detail: installed.join(", ") };
+}
+
+// Function to check Docker is installed and running
+function checkDockerRunning() {
+  const hint = "install Docker Desktop from https://docs.docker.com/get-docker/";
+  if (!shell.which("docker")) {
+    return { ok: false, detail: "not found", hint };
+  }
+  const result = shell.exec("docker info --format '{{.ServerVersion}}'", { silent: true });
+  if (result.code !== 0) {
+    return { ok: false, detail: "not running", hint: "start Docker" };
+  }
+  return { ok: true, version: (result.stdout || "").trim() || null };
+}
+
+// The checks, in the order they're reported. `required(answers)` says whether
+// the chosen features can't work without the tool, and `skip(answers, options)`
+// leaves out checks that don't apply at all.
+const CHECKS = [
+  {
+    id: "node",
+    label: "Node.js",
+    purpose: "running the CLI and the project",
+    required: () => true,
+    run: checkNode,
+  },
+  {
+    id: "git",
+    label: "git",
+    purpose: "the project's repository",
+    required: () => true,
+    run: () => checkTool("git", "install git from https://git-scm.com"),
+  },
+  {
+    id: "git-host",
+    label: (answers) => gitHostFor(answers.gitHost).cli,
+    purpose: (answers) => `the ${gitHostFor(answers.gitHost).label} repository`,
+    // An existing remote needs nothing but git, and offline runs skip the host
+    skip: (answers, { offline }) => offline || !gitHostFor(answers.gitHost).cli,
+    required: () => true,
+    run: checkGitHost,
+  },
+  {
+    id: "package-manager",
+    label: (answers) => (PACKAGE_MANAGERS[answers.packageManager] ? answers.packageManager : "package manager"),
+    purpose: "installing dependencies",
+    required: () => true,
+    run: checkPackageManager,
+  },
+  {
+    id: "docker",
+    label: "Docker",
+    purpose: "local Supabase",
+    required: (answers) => answers.supabase === "local",
+    run: checkDockerRunning,
+  },
+  {
+    id: "supabase",
+    label: "Supabase CLI",
+    purpose: "Supabase",
+    required: (answers) => answers.supabase === "hosted" || answers.supabase === "local",
+    run: () => checkTool("supabase", "npm install -g supabase"),
+  },
+  {
+    id: "editor",
+    label: "code",
+    purpose: "opening the project in VS Code",
+    required: () => false,
+    run: () => checkTool("code", "in VS Code, run \"Shell Command: Install 'code' command in PATH\""),
+  },
+];
+
+// Function to run every check that applies to the answers. Each result is
+// { id, label, purpose, required, ok, version, detail, hint }; a check that
+// throws counts as failed. Node.js is checked against the .nvmrc in `cwd`, or
+// only against MIN_NODE_VERSION when `cwd` is null.
+function runChecks(answers = {}, { offline = false, cwd = process.cwd() } = {}) {
+  const resolve = (value) => (typeof value === "function" ? value(answers) : value);
+  return CHECKS.filter((check) => !(check.skip && check.skip(answers, { offline }))).map((check) => {
+    let result;
+    try {
+      result = check.run(answers, { offline, cwd });
+    } catch (error) {
+      result = { ok: false, detail: error.message };
+    }
+    return {
+      id: check.id,
+      label: resolve(check.label),
+      purpose: resolve(check.purpose),
+      required: check.required(answers),
+      version: null,
+      detail: null,
+      hint: null,
+      ...result,
+    };
+  });
+}
+
+// Function to list the required tools that failed their check
+function missingRequired(results) {
+  return results.filter((result) => result.required && !result.ok);
+}
+
+// Function to lay out check results as a table, with how to fix each failure
+function formatReport(results) {
+  const rows = results.map((result) => [
+    result.ok ? "✅" : result.required ? "❌" : "➖",
+    result.label,
+    result.ok ? result.version || result.detail || "installed" : result.detail,
+    `${result.required ? "required" : "optional"} for ${result.purpose}`,
+  ]);
+  const widths = [1, 2].map((column) => Math.max(...rows.map((row) => row[column].length)));
+
+  return rows
+    .map((row, i) => {
+      const line = `${row[0]} ${row[1].padEnd(widths[0])}  ${row[2].padEnd(widths[1])}  ${row[3]}`;
+      return results[i].ok || !results[i].hint ? line : `${line}\n   👉 ${results[i].hint}`;
+    })
+    .join("\n");
+}
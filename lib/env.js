@@ -0,0 +1,67 @@
+// .env files: adding variables without touching the ones already set, and keeping .env out of git
+const fs = require("fs");
+
+const ENV_FILE = ".env";
+const ENV_EXAMPLE_FILE = ".env.example";
+
+module.exports = {
+  ENV_FILE,
+  ENV_EXAMPLE_FILE,
+  parseEnv,
+  addEnvVariables,
+  ensureGitignored,
+  parseVariableNames,
+};
+
+// Function to read the variables set in .env content, ignoring comments and blank lines
+function parseEnv(content) {
+  const variables = {};
+  for (const line of content.split(/\r?\n/)) {
+    const match = /^\s*(?:export\s+)?([A-Za-z_]\w*)\s*=\s*(.*)$/.exec(line);
+    if (match) {
+      variables[match[1]] = match[2].trim().replace(/^(["'])(.*)\1$/, "$2");
+    }
+  }
+  return variables;
+}
+
+// Function to append variables to an env file (created if needed), skipping any
+// already there. Returns the names that were added.
+function addEnvVariables(file, variables, comment = null) {
+  const current = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : "";
+  const existing = parseEnv(current);
+  const added = Object.keys(variables).filter((name) => !(name in existing));
+  if (added.length === 0) {
+    return added;
+  }
+
+  const lines = [
+    ...(comment ? [`# ${comment}`] : []),
+    ...added.map((name) => `${name}=${variables[name]}`),
+  ];
+  const separator = current === "" ? "" : current.endsWith("\n") ? "\n" : "\n\n";
+  fs.writeFileSync(file, `${current}${separator}${lines.join("\n")}\n`);
+  return added;
+}
+
+// Function to add a pattern to .gitignore unless it's already listed
+function ensureGitignored(pattern, file = ".gitignore") {
+  const current = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : "";
+  const listed = current.split(/\r?\n/).map((line) => line.trim());
+  if ([pattern, `/${pattern}`, `${pattern}/`, `/${pattern}/`].some((form) => listed.includes(form))) {
+    return false;
+  }
+  fs.writeFileSync(file, `${current}${current && !current.endsWith("\n") ? "\n" : ""}${pattern}\n`);
+  return true;
+}
+
+// Function to split a comma-separated list of variable names, such as the
+// --secrets flag, rejecting anything that can't be an environment variable
+function parseVariableNames(value = "") {
+  const names = value.split(",").map((name) => name.trim()).filter(Boolean);
+  const invalid = names.find((name) => !/^[A-Za-z_]\w*$/.test(name));
+  if (invalid) {
+    throw new Error(`Invalid variable name "${invalid}". Use letters, numbers and underscores, separated by commas.`);
+  }
+  return [...new Set(names)];
+}
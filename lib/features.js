@@ -0,0 +1,124 @@
+// Features `add` can apply to an existing project, and the pieces that show whether it already has them
+const fs = require("fs");
+const { NUXT_CONFIG, parseNuxtConfig, listValues, getValue } = require("./nuxt-config");
+const { DEPLOY_TARGETS } = require("./deploy");
+const { CI_WORKFLOW_FILE } = require("./ci");
+
+const TAILWIND_PACKAGES = ["tailwindcss", "postcss", "autoprefixer"];
+const TAILWIND_CSS = "assets/css/tailwind.css";
+
+// Each feature lists its pieces as [description, has(state)], where state is what
+// readProjectState found. `conflict(state)` explains why it can't be added, if it can't.
+const FEATURES = {
+  tailwind: {
+    label: "Tailwind CSS",
+    pieces: [
+      [`the ${TAILWIND_PACKAGES.join(", ")} packages`, (state) => TAILWIND_PACKAGES.every((name) => state.dependencies.includes(name))],
+      ["tailwind.config.js", (state) => state.exists("tailwind.config.js") || state.exists("tailwind.config.ts")],
+      ["postcss.config.js", (state) => state.exists("postcss.config.js")],
+      [TAILWIND_CSS, (state) => state.exists(TAILWIND_CSS)],
+      [`~/${TAILWIND_CSS} in css`, (state) => state.css.includes(`~/${TAILWIND_CSS}`)],
+    ],
+    conflict: (state) =>
+      state.modules.includes("@nuxt/ui") ? "The project uses Nuxt UI, which comes with Tailwind CSS already" : null,
+  },
+  "nuxt-ui": {
+    label: "Nuxt UI",
+    pieces: [
+      ["the @nuxt/ui package", (state) => state.dependencies.includes("@nuxt/ui")],
+      ["@nuxt/ui in modules", (state) => state.modules.includes("@nuxt/ui")],
+    ],
+  },
+  content: {
+    label: "Nuxt Content",
+    pieces: [
+      ["the @nuxt/content package", (state) => state.dependencies.includes("@nuxt/content")],
+      ["@nuxt/content in modules", (state) => state.modules.includes("@nuxt/content")],
+      ["the content/ directory", (state) => state.exists("content")],
+    ],
+  },
+  openai: {
+    label: "OpenAI",
+    pieces: [["runtimeConfig.openaiApiKey", (state) => state.runtimeConfig.includes("openaiApiKey")]],
+  },
+  supabase: {
+    label: "Supabase",
+    pieces: [
+      ["the supabase/ project", (state) => state.exists("supabase/config.toml")],
+      ["the @nuxtjs/supabase package", (state) => state.dependencies.includes("@nuxtjs/supabase")],
+      ["@nuxtjs/supabase in modules", (state) => state.modules.includes("@nuxtjs/supabase")],
+    ],
+  },
+  ...Object.fromEntries(
+    Object.entries(DEPLOY_TARGETS).map(([name, { label, file, preset }]) => [
+      name,
+      {
+        label: `deploys to ${label}`,
+        pieces: [
+          [file, (state) => state.exists(file)],
+          [`nitro.preset "${preset}"`, (state) => state.nitroPreset === preset],
+        ],
+      },
+    ])
+  ),
+  ci: {
+    label: "the CI workflow",
+    pieces: [[CI_WORKFLOW_FILE, (state) => state.exists(CI_WORKFLOW_FILE)]],
+  },
+};
+
+module.exports = {
+  FEATURES,
+  TAILWIND_PACKAGES,
+  featureNames,
+  featureFor,
+  readProjectState,
+  missingPieces,
+};
+
+// Function to list the features `add` knows
+function featureNames() {
+  return Object.keys(FEATURES);
+}
+
+// Function to look up a feature
+function featureFor(name) {
+  const feature = FEATURES[name];
+  if (!feature) {
+    throw new Error(`Unknown feature "${name}". Use one of ${featureNames().join(", ")}.`);
+  }
+  return feature;
+}
+
+// Function to read what the project in the current directory already has from
+// package.json and nuxt.config.ts: { dependencies, modules, css, runtimeConfig,
+// nitroPreset, exists(file) }
+function readProjectState() {
+  if (!fs.existsSync("package.json") || !fs.existsSync(NUXT_CONFIG)) {
+    throw new Error(`There's no package.json and ${NUXT_CONFIG} here. Run this inside a Nuxt project.`);
+  }
+  const packageJson = JSON.parse(fs.readFileSync("package.json", "utf8"));
+  let config;
+  try {
+    ({ config } = parseNuxtConfig(fs.readFileSync(NUXT_CONFIG, "utf8")));
+  } catch (error) {
+    throw new Error(`Can't read ${NUXT_CONFIG}: ${error.message}`);
+  }
+  const runtimeConfig = getValue(config, "runtimeConfig");
+
+  return {
+    dependencies: Object.keys({ ...packageJson.dependencies, ...packageJson.devDependencies }),
+    modules: listValues(config, "modules"),
+    css: listValues(config, "css"),
+    runtimeConfig: runtimeConfig && runtimeConfig.$type === "object" ? Object.keys(runtimeConfig) : [],
+    nitroPreset: getValue(config, "nitro.preset"),
+    exists: (file) => fs.existsSync(file),
+  };
+}
+
+// Function to list the descriptions of the pieces of a feature the project doesn't have yet
+function missingPieces(name, state) {
+  return featureFor(name)
+    .pieces.filter(([, has]) => !has(state))
+    .map(([description]) => description);
+}
@@ -0,0 +1,211 @@
+// Git hosts: the commands that create, configure and delete the project's repository on each
+const { shellQuote, parseCollaborators, repoSettingsCommands, branchProtectionCommand } = require("./github");
+
+const GITLAB_URL = "https://gitlab.com";
+
+// Gitea's API takes a token from the environment, so it never shows up in a command line
+const GITEA_TOKEN = "GITEA_TOKEN";
+
+// Gitea has no triage or maintain role, so those map to the nearest one
+const GITEA_PERMISSIONS = { pull: "read", triage: "read", push: "write", maintain: "write", admin: "admin" };
+
+// Each host builds commands for a repository { url, owner, name, slug, personal,
+// isPublic, description, defaultBranch, topics, dir }, where slug is owner/name
+// (just the name for a personal GitHub repository, which gh resolves):
+// - create(repo): commands that create it
+// - remoteUrl(repo): what origin points at, unless create already set it
+// - configure(answers, repo): commands for the settings create can't make
+// - protect(branch, repo): the command that protects a branch, or null
+// - secret(name, repo): the command that sets a CI secret to what's piped in, or null
+// - remove(repo): the command that deletes it again, or null
+// - webUrl(repo): its page, or null to ask the host's CLI
+// - authStatus(url) / authHint: the command that fails unless you're signed in, and how to sign in
+// - whoami(url) / username(output): how to find the signed-in user, whose
+//   account a personal repository goes in
+const GIT_HOSTS = {
+  github: {
+    label: "GitHub",
+    cli: "gh",
+    installHint: "brew install gh",
+    collaborators: true,
+    discussions: true,
+    create: ({ slug, isPublic, dir }) => [`gh repo create ${slug} --${isPublic ? "public" : "private"} --source=${dir}`],
+    remoteUrl: () => null,
+    configure: (answers) => repoSettingsCommands(answers),
+    protect: (branch) => branchProtectionCommand(branch),
+    secret: (name) => `gh secret set ${name}`,
+    remove: ({ slug }) => `gh repo delete ${slug} --yes`,
+    removeHint: "It may need the delete_repo scope: gh auth refresh -h github.com -s delete_repo",
+    webUrl: () => null,
+    authStatus: () => "gh auth status",
+    authHint: "gh auth login",
+  },
+  gitlab: {
+    label: "GitLab",
+    cli: "glab",
+    installHint: "brew install glab",
+    defaultUrl: GITLAB_URL,
+    collaborators: false,
+    discussions: false,
+    create: ({ url, slug, isPublic, description, defaultBranch, topics }) => [
+      glab(url, [
+        `repo create ${slug} --${isPublic ? "public" : "private"} --defaultBranch ${defaultBranch}`,
+        ...(description ? [`--description ${shellQuote(description)}`] : []),
+        ...(topics.length > 0 ? [`--tag ${topics.join(",")}`] : []),
+      ].join(" ")),
+    ],
+    remoteUrl: ({ url, slug }) => `${url}/${slug}.git`,
+    configure: (answers, { url, slug }) => {
+      const fields = [["hasIssues", "issues_enabled"], ["hasWiki", "wiki_enabled"]]
+        .filter(([name]) => typeof answers[name] === "boolean")
+        .map(([name, field]) => `-F ${field}=${answers[name]}`);
+      return fields.length > 0 ? [glab(url, `api -X PUT ${gitlabProject(slug)} ${fields.join(" ")}`)] : [];
+    },
+    // GitLab protects the default branch when it's created, so that protection is
+    // replaced: nobody pushes, developers and up merge, no force pushes
+    protect: (branch, { url, slug }) => [
+      `${glab(url, `api -X DELETE ${gitlabProject(slug)}/protected_branches/${branch}`)} >/dev/null 2>&1`,
+      glab(url, `api -X POST ${gitlabProject(slug)}/protected_branches -f name=${branch} -F push_access_level=0 -F merge_access_level=30 -F allow_force_push=false`),
+    ].join("; "),
+    secret: (name, { url }) => glab(url, `variable set ${name}`),
+    remove: ({ url, slug }) => glab(url, `repo delete ${slug} --yes`),
+    removeHint: "Delete it from the project's settings, under General > Advanced.",
+    webUrl: ({ url, slug }) => `${url}/${slug}`,
+    authStatus: (url) => `glab auth status --hostname ${new URL(url).host}`,
+    authHint: "glab auth login",
+    whoami: (url) => glab(url, "api user"),
+    username: (output) => JSON.parse(output).username,
+  },
+  gitea: {
+    label: "Gitea",
+    cli: "curl",
+    installHint: "install curl from https://curl.se",
+    collaborators: true,
+    discussions: false,
+    create: ({ url, owner, personal, name, isPublic, description, defaultBranch }) => [
+      giteaApi(url, "POST", personal ? "user/repos" : `orgs/${owner}/repos`, {
+        name,
+        private: !isPublic,
+        description: description || "",
+        default_branch: defaultBranch,
+      }),
+    ],
+    remoteUrl: ({ url, slug }) => `${url}/${slug}.git`,
+    configure: (answers, { url, slug, topics }) => {
+      const settings = {};
+      if (answers.homepage) settings.website = answers.homepage;
+      if (typeof answers.hasIssues === "boolean") settings.has_issues = answers.hasIssues;
+      if (typeof answers.hasWiki === "boolean") settings.has_wiki = answers.hasWiki;
+
+      const commands = [];
+      if (Object.keys(settings).length > 0) {
+        commands.push(giteaApi(url, "PATCH", `repos/${slug}`, settings));
+      }
+      if (topics.length > 0) {
+        commands.push(giteaApi(url, "PUT", `repos/${slug}/topics`, { topics }));
+      }
+      for (const { type, name, permission } of parseCollaborators(answers.collaborators)) {
+        commands.push(
+          type === "team"
+            ? giteaApi(url, "PUT", `repos/${slug}/teams/${name}`)
+            : giteaApi(url, "PUT", `repos/${slug}/collaborators/${name}`, { permission: GITEA_PERMISSIONS[permission] })
+        );
+      }
+      return commands;
+    },
+    protect: (branch, { url, slug }) =>
+      giteaApi(url, "POST", `repos/${slug}/branch_protections`, {
+        branch_name: branch,
+        enable_push: false,
+        required_approvals: 1,
+      }),
+    // Gitea's Actions secrets API takes the value in a JSON body, which can't be built
+    // safely from the environment in a shell command
+    secret: () => null,
+    remove: ({ url, slug }) => giteaApi(url, "DELETE", `repos/${slug}`),
+    removeHint: "The token needs the delete permission for repositories.",
+    webUrl: ({ url, slug }) => `${url}/${slug}`,
+    // Every call is authenticated with the token, so having one set is being signed in
+    authStatus: () => `test -n "$${GITEA_TOKEN}"`,
+    authHint: `export ${GITEA_TOKEN}=<an access token from your Gitea settings>`,
+    whoami: (url) => `curl -sfS -H "Authorization: token $${GITEA_TOKEN}" ${url}/api/v1/user`,
+    username: (output) => JSON.parse(output).login,
+  },
+  remote: {
+    label: "git remote",
+    cli: null,
+    collaborators: false,
+    discussions: false,
+    // The repository already exists somewhere, origin just points at it
+    create: () => [],
+    remoteUrl: ({ remoteUrl }) => remoteUrl,
+    configure: () => [],
+    protect: () => null,
+    secret: () => null,
+    remove: () => null,
+    webUrl: ({ remoteUrl }) => (/^https?:\/\//.test(remoteUrl) ? remoteUrl.replace(/\.git$/, "") : null),
+    authStatus: () => null,
+  },
+};
+
+module.exports = {
+  GIT_HOSTS,
+  GITLAB_URL,
+  GITEA_TOKEN,
+  gitHostNames,
+  gitHostFor,
+  parseHostUrl,
+  parseRemoteUrl,
+};
+
+// Function to list the supported git hosts
+function gitHostNames() {
+  return Object.keys(GIT_HOSTS);
+}
+
+// Function to look up a git host, GitHub unless another is chosen
+function gitHostFor(name = "github") {
+  const host = GIT_HOSTS[name];
+  if (!host) {
+    throw new Error(`Unknown git host "${name}". Use one of ${gitHostNames().join(", ")}.`);
+  }
+  return host;
+}
+
+// Function to check the URL of a self-hosted GitLab or Gitea, without a trailing slash
+function parseHostUrl(value = "") {
+  const url = value.trim().replace(/\/+$/, "");
+  if (!/^https?:\/\/[\w.-]+(:\d+)?(\/[\w.~-]+)*$/.test(url)) {
+    throw new Error(`Invalid host URL "${value}". Use the address of the server, like https://git.example.com.`);
+  }
+  return url;
+}
+
+// Function to check a remote URL is one git can push to (https, ssh or scp-style)
+function parseRemoteUrl(value = "") {
+  const url = value.trim();
+  if (!/^(https?|ssh|git):\/\/\S+$/.test(url) && !/^[\w.-]+@[\w.-]+:\S+$/.test(url)) {
+    throw new Error(`Invalid remote URL "${value}". Use an https or ssh URL, like git@git.example.com:team/site.git.`);
+  }
+  return url;
+}
+
+// Function to build a glab command, pointed at a self-hosted GitLab when it isn't gitlab.com
+function glab(url, args) {
+  return url === GITLAB_URL ? `glab ${args}` : `GITLAB_HOST=${url} glab ${args}`;
+}
+
+// Function to get the GitLab API path of a project, which takes owner/name URL-encoded
+function gitlabProject(slug) {
+  return `projects/${encodeURIComponent(slug)}`;
+}
+
+// Function to build a curl call to the Gitea API, authenticated with $GITEA_TOKEN
+function giteaApi(url, method, endpoint, body = null) {
+  return [
+    `curl -sfS -o /dev/null -X ${method}`,
+    `-H "Authorization: token $${GITEA_TOKEN}"`,
+    ...(body ? [`-H "Content-Type: application/json" -d ${shellQuote(JSON.stringify(body))}`] : []),
+    `${url}/api/v1/${endpoint}`,
+  ].join(" ");
+}
@@ -0,0 +1,106 @@
+// GitHub repository settings: the `gh api` calls that apply them after `gh repo create`.
+// {owner}/{repo} is filled in by gh from the current directory's origin remote.
+const REPO = "repos/{owner}/{repo}";
+
+const PERMISSIONS = ["pull", "triage", "push", "maintain", "admin"];
+
+module.exports = {
+  PERMISSIONS,
+  shellQuote,
+  parseTopics,
+  parseBranchName,
+  parseCollaborators,
+  repoSettingsCommands,
+  branchProtectionCommand,
+};
+
+// Function to quote a value for the shell, so descriptions and URLs pass through as they are
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+// Function to split comma-separated topics, lowercased. GitHub allows letters,
+// numbers and hyphens, up to 50 characters, starting with a letter or number.
+function parseTopics(value = "") {
+  const topics = value.split(",").map((topic) => topic.trim().toLowerCase()).filter(Boolean);
+  const invalid = topics.find((topic) => !/^[a-z0-9][a-z0-9-]{0,49}$/.test(topic));
+  if (invalid) {
+    throw new Error(`Invalid topic "${invalid}". Use letters, numbers and hyphens, up to 50 characters.`);
+  }
+  return [...new Set(topics)];
+}
+
+// Function to check a branch name is one git and the GitHub API both accept
+function parseBranchName(value = "") {
+  const branch = value.trim();
+  if (!/^[\w.-]+(\/[\w.-]+)*$/.test(branch) || branch.endsWith(".lock") || branch.includes("..")) {
+    throw new Error(`Invalid branch name "${value}". Use letters, numbers, dots, dashes, underscores and slashes.`);
+  }
+  return branch;
+}
+
+// Function to split comma-separated collaborators into { type, name, permission }.
+// Each is a username or an @team of the organization, with an optional
+// :permission (push by default), e.g. "alice, @design:maintain".
+function parseCollaborators(value = "") {
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const match = /^(@?)([A-Za-z0-9][\w.-]*)(?::(\w+))?$/.exec(entry);
+      if (!match) {
+        throw new Error(`Invalid collaborator "${entry}". Use a username or @team, optionally followed by :permission.`);
+      }
+      const permission = match[3] || "push";
+      if (!PERMISSIONS.includes(permission)) {
+        throw new Error(`Invalid permission "${permission}" for ${entry}. Use one of ${PERMISSIONS.join(", ")}.`);
+      }
+      return { type: match[1] ? "team" : "user", name: match[2], permission };
+    });
+}
+
+// Function to build the `gh api` commands for the repository settings in the answers:
+// description, homepage, issues/wiki/discussions, topics and collaborator access.
+// Settings left unanswered keep GitHub's defaults.
+function repoSettingsCommands(answers) {
+  const fields = [];
+  if (answers.description) fields.push(`-f description=${shellQuote(answers.description)}`);
+  if (answers.homepage) fields.push(`-f homepage=${shellQuote(answers.homepage)}`);
+  for (const [name, field] of [["hasIssues", "has_issues"], ["hasWiki", "has_wiki"], ["hasDiscussions", "has_discussions"]]) {
+    if (typeof answers[name] === "boolean") fields.push(`-F ${field}=${answers[name]}`);
+  }
+
+  const commands = [];
+  if (fields.length > 0) {
+    commands.push(`gh api -X PATCH ${REPO} ${fields.join(" ")} --silent`);
+  }
+  const topics = parseTopics(answers.topics);
+  if (topics.length > 0) {
+    // Replaces the topics, so an empty list would clear them: only sent when there are some
+    commands.push(`gh api -X PUT ${REPO}/topics ${topics.map((topic) => `-f "names[]=${topic}"`).join(" ")} --silent`);
+  }
+  for (const { type, name, permission } of parseCollaborators(answers.collaborators)) {
+    commands.push(
+      type === "team"
+        ? `gh api -X PUT orgs/{owner}/teams/${name}/${REPO} -f permission=${permission} --silent`
+        : `gh api -X PUT ${REPO}/collaborators/${name} -f permission=${permission} --silent`
+    );
+  }
+  return commands;
+}
+
+// Function to build the `gh api` command that protects a branch: changes go
+// through a pull request with one approval, and force pushes and deletion are blocked
+function branchProtectionCommand(branch) {
+  return [
+    `gh api -X PUT ${REPO}/branches/${parseBranchName(branch)}/protection`,
+    "-F required_status_checks=null",
+    "-F enforce_admins=false",
+    `-F "required_pull_request_reviews[required_approving_review_count]=1"`,
+    "-F restrictions=null",
+    "-F allow_force_pushes=false",
+    "-F allow_deletions=false",
+    "--silent",
+  ].join(" ");
+}
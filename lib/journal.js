@@ -0,0 +1,63 @@
+// The .room302-setup.json journal that lets `room302-template resume` pick up a failed run
+const fs = require("fs");
+const path = require("path");
+const shell = require("shelljs");
+
+const JOURNAL_FILENAME = ".room302-setup.json";
+
+module.exports = {
+  JOURNAL_FILENAME,
+  createJournal,
+  readJournal,
+  writeJournal,
+  removeJournal,
+};
+
+// Function to start a journal for a new project
+function createJournal(answers, projectDir) {
+  return {
+    version: 1,
+    startedAt: new Date().toISOString(),
+    projectDir,
+    answers,
+    completed: [],
+  };
+}
+
+// Function to read the journal from a project directory
+function readJournal(projectDir) {
+  const file = path.join(projectDir, JOURNAL_FILENAME);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No ${JOURNAL_FILENAME} found in ${projectDir}. Nothing to resume.`);
+  }
+
+  let journal;
+  try {
+    journal = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not parse ${file}: ${error.message}`);
+  }
+  if (!journal.answers || !Array.isArray(journal.completed)) {
+    throw new Error(`${file} is not a valid setup journal`);
+  }
+
+  // The directory may have been moved or renamed since the journal was written
+  return { ...journal, projectDir };
+}
+
+// Function to save the journal, only once the project directory exists
+function writeJournal(journal) {
+  if (!fs.existsSync(journal.projectDir)) {
+    return false;
+  }
+  fs.writeFileSync(
+    path.join(journal.projectDir, JOURNAL_FILENAME),
+    JSON.stringify(journal, null, 2) + "\n"
+  );
+  return true;
+}
+
+// Function to delete the journal once setup has finished
+function removeJournal(journal) {
+  shell.rm("-f", path.join(journal.projectDir, JOURNAL_FILENAME));
+}
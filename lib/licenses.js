@@ -0,0 +1,55 @@
+// License choices: the LICENSE text bundled for each and the package.json value it needs
+const fs = require("fs");
+const path = require("path");
+
+const LICENSES_DIR = path.join(__dirname, "licenses");
+
+// In the order they are offered. `spdx` is what goes in package.json: an SPDX
+// identifier, npm's "UNLICENSED", or a pointer to the LICENSE file. `label` is
+// the name shown in the README.
+const LICENSES = {
+  mit: { spdx: "MIT", label: "MIT", file: "MIT.txt" },
+  UNLICENSED: { spdx: "UNLICENSED", label: "All rights reserved", file: "UNLICENSED.txt" },
+  "ecl-2.0": { spdx: "ECL-2.0", label: "ECL-2.0", file: "ECL-2.0.txt" },
+  "CC-BY-4.0": { spdx: "CC-BY-4.0", label: "CC BY 4.0", file: "CC-BY-4.0.txt" },
+  proprietary: { spdx: "SEE LICENSE IN LICENSE", label: "Proprietary", file: "proprietary.txt" },
+};
+
+module.exports = {
+  LICENSES,
+  licenseNames,
+  licenseSpdx,
+  licenseLabel,
+  renderLicense,
+};
+
+// Function to list the license choices
+function licenseNames() {
+  return Object.keys(LICENSES);
+}
+
+// Function to look up a license choice
+function licenseFor(name) {
+  const license = LICENSES[name];
+  if (!license) {
+    throw new Error(`Unknown license "${name}". Use one of ${licenseNames().join(", ")}.`);
+  }
+  return license;
+}
+
+// Function to get the package.json "license" value for a license choice
+function licenseSpdx(name) {
+  return licenseFor(name).spdx;
+}
+
+// Function to get the README name of a license choice
+function licenseLabel(name) {
+  return licenseFor(name).label;
+}
+
+// Function to fill in the LICENSE text of a license choice
+function renderLicense(name, { year = new Date().getFullYear(), holder }) {
+  const text = fs.readFileSync(path.join(LICENSES_DIR, licenseFor(name).file), "utf8");
+  // Replacer functions, so a "$&" or "$1" in the holder is written as typed
+  return text.replace(/\{\{year\}\}/g, () => year).replace(/\{\{holder\}\}/g, () => holder);
+}
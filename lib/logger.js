@@ -0,0 +1,160 @@
+// Logging: levels for --quiet and --verbose, --json events for tools that wrap the CLI, and the debug log kept for when a step fails
+const fs = require("fs");
+const shell = require("shelljs");
+
+// From least to most important. --verbose shows everything, --quiet only warnings and errors.
+const LEVELS = ["debug", "info", "warn", "error"];
+
+// Written to the directory a run started in when a step fails
+const LOG_FILENAME = "room302-template-debug.log";
+
+module.exports = {
+  LEVELS,
+  LOG_FILENAME,
+  logger: createLogger(),
+  createLogger,
+  errorMessage,
+};
+
+// Function to get what went wrong from anything thrown
+function errorMessage(error) {
+  return error instanceof Error ? error.message : String(error);
+}
+
+// Function to create a logger. Messages at `level` and above are printed (as
+// "log" events with `json`); every message is kept for the debug log either way.
+function createLogger({ level = "info", json = false } = {}) {
+  const entries = [];
+  // The step running now, which collects its commands and its last error
+  let running = null;
+
+  const record = (level, message) => entries.push({ time: new Date(), level, message });
+  const emit = (event) => shell.echo(JSON.stringify({ ...event, time: new Date().toISOString() }));
+
+  const log = (messageLevel, message, error) => {
+    const text = error === undefined ? message : `${message} ${errorMessage(error)}`;
+    record(messageLevel, text);
+    if (messageLevel === "error" && running) {
+      running.error = text;
+    }
+    if (error instanceof Error && error.stack) {
+      record("debug", error.stack);
+    }
+    if (LEVELS.indexOf(messageLevel) < LEVELS.indexOf(logger.level)) {
+      return;
+    }
+    if (logger.json) {
+      emit({ event: "log", level: messageLevel, message: text.trim() });
+    } else {
+      shell.echo(text);
+    }
+  };
+
+  const logger = {
+    level,
+    json,
+    entries,
+
+    // Function to set the level and output from the command line
+    configure({ quiet = false, verbose = false, json = false } = {}) {
+      if (quiet && verbose) {
+        throw new Error("Use --quiet or --verbose, not both");
+      }
+      logger.level = quiet ? "warn" : verbose ? "debug" : "info";
+      logger.json = json;
+    },
+
+    debug: (message) => log("debug", message),
+    info: (message) => log("info", message),
+    warn: (message) => log("warn", message),
+    // `error`, if given, is what was thrown: its message is printed and its stack kept for the debug log
+    error: (message, error) => log("error", message, error),
+
+    // Function to print what a command was asked for, like a list or a plan: `text`
+    // whatever the level, or `data` as an "output" event with --json
+    output(text, data) {
+      record("info", text);
+      if (logger.json) {
+        emit({ event: "output", ...data });
+      } else {
+        shell.echo(text);
+      }
+    },
+
+    // Function to run a pipeline step, timing it and logging every command it runs.
+    // With --json it emits a "step" event when the step starts and one when it ends.
+    async step(step, run) {
+      const started = Date.now();
+      const current = { commands: [], error: null };
+      running = current;
+      record("debug", `Step "${step.title}" started`);
+      if (logger.json) {
+        emit({ event: "step", id: step.id, title: step.title, status: "start" });
+      }
+
+      // Like the dry-run recorder, commands are routed through a stand-in for shell.exec
+      const exec = shell.exec;
+      shell.exec = (command, ...rest) => {
+        // With --quiet or --json, output goes to the debug log instead of the terminal
+        if (logger.json || LEVELS.indexOf(logger.level) > LEVELS.indexOf("info")) {
+          const options = rest[0] && typeof rest[0] === "object" ? rest.shift() : {};
+          rest.unshift({ ...options, silent: true });
+        }
+        const commandStarted = Date.now();
+        const result = exec.call(shell, command, ...rest);
+        const duration = Date.now() - commandStarted;
+        const code = result && result.code;
+        current.commands.push({ command, code, duration });
+        log("debug", `$ ${command} (exit ${code}, ${duration}ms)`);
+        const output = [result && result.stdout, result && result.stderr].filter((text) => text && text.trim());
+        if (output.length > 0) {
+          record("debug", output.join("\n").trimEnd());
+        }
+        return result;
+      };
+
+      let ok = false;
+      try {
+        ok = await run();
+        return ok;
+      } finally {
+        shell.exec = exec;
+        running = null;
+        const duration = Date.now() - started;
+        const status = ok ? "success" : "failure";
+        record("debug", `Step "${step.title}" ended: ${status} after ${duration}ms`);
+        if (logger.json) {
+          emit({
+            event: "step",
+            id: step.id,
+            title: step.title,
+            status,
+            duration,
+            commands: current.commands,
+            ...(ok ? {} : { error: current.error }),
+          });
+        }
+      }
+    },
+
+    // Function to emit a "step" event for a step that didn't run
+    skipStep(step, reason) {
+      record("debug", `Step "${step.title}" skipped: ${reason}`);
+      if (logger.json) {
+        emit({ event: "step", id: step.id, title: step.title, status: "skipped", reason });
+      }
+    },
+
+    // Function to write every message so far, at every level and with each
+    // command's output, to `file`
+    writeLog(file) {
+      const lines = entries.map(
+        ({ time, level, message }) => `${time.toISOString()} ${level.toUpperCase().padEnd(5)} ${message}`
+      );
+      fs.writeFileSync(file, lines.join("\n") + "\n");
+      return file;
+    },
+  };
+
+  return logger;
+}
@@ -0,0 +1,112 @@
+// The room302.json manifest a template ships to describe its own setup
+const fs = require("fs");
+const path = require("path");
+
+const MANIFEST_FILENAME = "room302.json";
+
+const QUESTION_TYPES = ["input", "confirm", "list"];
+
+module.exports = {
+  MANIFEST_FILENAME,
+  loadManifest,
+  matchesWhen,
+  manifestQuestions,
+  renderPlaceholders,
+  filesToDelete,
+  commandsToRun,
+};
+
+// Function to check a list of strings in the manifest
+function assertStringList(value, key) {
+  if (value !== undefined && (!Array.isArray(value) || value.some((item) => typeof item !== "string"))) {
+    throw new Error(`"${key}" in ${MANIFEST_FILENAME} must be a list of strings`);
+  }
+}
+
+// Function to read and validate the manifest in a directory, or null if the template has none
+function loadManifest(dir = ".") {
+  const file = path.join(dir, MANIFEST_FILENAME);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not parse the template's ${MANIFEST_FILENAME}: ${error.message}`);
+  }
+
+  assertStringList(manifest.requiredFiles, "requiredFiles");
+  assertStringList(manifest.placeholders, "placeholders");
+
+  for (const question of manifest.questions || []) {
+    if (!question.name || !/^[A-Za-z_]\w*$/.test(question.name)) {
+      throw new Error(`Every question in ${MANIFEST_FILENAME} needs a "name" made of letters, numbers and underscores`);
+    }
+    if (!QUESTION_TYPES.includes(question.type || "input")) {
+      throw new Error(`Question "${question.name}" in ${MANIFEST_FILENAME} has unsupported type "${question.type}"`);
+    }
+    if (question.type === "list" && !Array.isArray(question.choices)) {
+      throw new Error(`Question "${question.name}" in ${MANIFEST_FILENAME} needs "choices"`);
+    }
+  }
+  for (const rule of manifest.deleteFiles || []) {
+    assertStringList(rule.files, "deleteFiles[].files");
+  }
+  for (const step of manifest.postClone || []) {
+    if (typeof step.run !== "string") {
+      throw new Error(`Every postClone entry in ${MANIFEST_FILENAME} needs a "run" command`);
+    }
+  }
+
+  return {
+    requiredFiles: [],
+    questions: [],
+    placeholders: [],
+    deleteFiles: [],
+    postClone: [],
+    ...manifest,
+  };
+}
+
+// Function to evaluate a JSON `when` condition, e.g. { "uiFramework": ["tailwind", "none"] }
+function matchesWhen(when, answers) {
+  if (!when) {
+    return true;
+  }
+  return Object.entries(when).every(([name, expected]) =>
+    Array.isArray(expected) ? expected.includes(answers[name]) : answers[name] === expected
+  );
+}
+
+// Function to turn manifest questions into inquirer questions
+function manifestQuestions(manifest) {
+  return manifest.questions.map(({ when, ...question }) => ({
+    type: "input",
+    ...question,
+    when: (answers) => matchesWhen(when, answers),
+  }));
+}
+
+// Function to replace {{name}} with answers. Only known names are replaced,
+// so Vue's own {{ }} interpolations are left alone.
+function renderPlaceholders(text, answers) {
+  return text.replace(/\{\{\s*([A-Za-z_]\w*)\s*\}\}/g, (match, name) =>
+    answers[name] === undefined ? match : String(answers[name])
+  );
+}
+
+// Function to list the files the manifest wants deleted for these answers
+function filesToDelete(manifest, answers) {
+  return manifest.deleteFiles
+    .filter((rule) => matchesWhen(rule.when, answers))
+    .flatMap((rule) => rule.files);
+}
+
+// Function to list the post-clone commands to run for these answers
+function commandsToRun(manifest, answers) {
+  return manifest.postClone
+    .filter((step) => matchesWhen(step.when, answers))
+    .map((step) => renderPlaceholders(step.run, answers));
+}
@@ -0,0 +1,201 @@
+// Editing nuxt.config.ts through its syntax tree, so quotes, spacing and trailing commas don't matter
+const fs = require("fs");
+const { parseModule, generateCode, builders } = require("magicast");
+
+const NUXT_CONFIG = "nuxt.config.ts";
+
+module.exports = {
+  NUXT_CONFIG,
+  parseNuxtConfig,
+  editNuxtConfig,
+  addToList,
+  removeFromList,
+  setDefault,
+  setValue,
+  removeKey,
+  listValues,
+  getValue,
+  fromEnv,
+  runtimeConfigEnvNames,
+};
+
+// Function to parse a Nuxt config and find its options object, which has to be
+// `export default defineNuxtConfig({ ... })` or a plain `export default { ... }`
+function parseNuxtConfig(code) {
+  let mod;
+  try {
+    mod = parseModule(code);
+  } catch (error) {
+    throw new Error(`it isn't valid TypeScript (${error.message})`);
+  }
+
+  const exported = mod.exports.default;
+  if (exported && exported.$type === "object") {
+    return { mod, config: exported };
+  }
+  if (exported && exported.$type === "function-call" && exported.$args[0] && exported.$args[0].$type === "object") {
+    return { mod, config: exported.$args[0] };
+  }
+  throw new Error("expected `export default defineNuxtConfig({ ... })` with the options written inline");
+}
+
+// Function to apply `edit(config)` to a Nuxt config file, writing it back only if
+// something changed. Returns true if the file changed.
+function editNuxtConfig(edit, file = NUXT_CONFIG) {
+  const code = fs.readFileSync(file, "utf8");
+  let updated;
+  try {
+    const { mod, config } = parseNuxtConfig(code);
+    edit(config);
+    // Keep the file's own quote style for anything we add
+    const singles = (code.match(/'/g) || []).length;
+    const doubles = (code.match(/"/g) || []).length;
+    updated = generateCode(mod, { format: { quote: singles >= doubles ? "single" : "double" } }).code;
+  } catch (error) {
+    throw new Error(`Can't update ${file} automatically: ${error.message}. Please edit it by hand.`);
+  }
+
+  if (code.endsWith("\n") && !updated.endsWith("\n")) {
+    updated += "\n";
+  }
+  if (updated === code) {
+    return false;
+  }
+  fs.writeFileSync(file, updated);
+  return true;
+}
+
+// Function to find the object holding a dotted key such as "runtimeConfig.public.siteUrl",
+// creating the objects along the way when `create` is set
+function parentOf(config, key, create) {
+  const parts = key.split(".");
+  let parent = config;
+  for (const [index, part] of parts.slice(0, -1).entries()) {
+    const name = parts.slice(0, index + 1).join(".");
+    if (parent[part] === undefined) {
+      if (!create) return null;
+      parent[part] = {};
+    } else if (parent[part] === null || parent[part].$type !== "object") {
+      throw new Error(`"${name}" isn't an object literal`);
+    }
+    parent = parent[part];
+  }
+  return { parent, name: parts[parts.length - 1] };
+}
+
+// Function to get the names in a list such as `modules`, where an entry can
+// also be a [name, options] pair
+function entryNames(list) {
+  return [...list].map((entry) =>
+    entry && typeof entry === "object" && entry.$type === "array" ? entry[0] : entry
+  );
+}
+
+// Function to get a list that can be edited, or null if it isn't there
+function listAt(parent, name, key) {
+  const list = parent[name];
+  if (list === undefined) {
+    return null;
+  }
+  if (list === null || list.$type !== "array") {
+    throw new Error(`"${key}" isn't an array literal`);
+  }
+  return list;
+}
+
+// Function to add a value to a list such as `modules` or `css` unless it's already there
+function addToList(config, key, value) {
+  const { parent, name } = parentOf(config, key, true);
+  const list = listAt(parent, name, key);
+  if (!list) {
+    parent[name] = [value];
+  } else if (!entryNames(list).includes(value)) {
+    list.push(value);
+  }
+}
+
+// Function to remove a value (or a [value, options] pair) from a list, if it's there
+function removeFromList(config, key, value) {
+  const found = parentOf(config, key, false);
+  const list = found && listAt(found.parent, found.name, key);
+  if (!list) {
+    return;
+  }
+  const index = entryNames(list).indexOf(value);
+  if (index !== -1) {
+    list.splice(index, 1);
+  }
+}
+
+// Function to set a key such as "runtimeConfig.openaiApiKey" unless it already has a value
+function setDefault(config, key, value) {
+  const { parent, name } = parentOf(config, key, true);
+  if (parent[name] === undefined) {
+    parent[name] = value;
+  }
+}
+
+// Function to set a key such as "nitro.preset", replacing any value it had
+function setValue(config, key, value) {
+  const { parent, name } = parentOf(config, key, true);
+  if (parent[name] !== value) {
+    parent[name] = value;
+  }
+}
+
+// Function to remove a key such as "runtimeConfig.openaiApiKey", if it's there
+function removeKey(config, key) {
+  const found = parentOf(config, key, false);
+  if (found && found.parent[found.name] !== undefined) {
+    delete found.parent[found.name];
+  }
+}
+
+// Function to get the names in a list such as `modules`, or [] if it isn't there
+function listValues(config, key) {
+  const found = parentOf(config, key, false);
+  const list = found && listAt(found.parent, found.name, key);
+  return list ? entryNames(list) : [];
+}
+
+// Function to get the value of a key such as "nitro.preset", or undefined if it isn't set
+function getValue(config, key) {
+  const found = parentOf(config, key, false);
+  return found ? found.parent[found.name] : undefined;
+}
+
+// Function to build a `process.env.NAME` expression, for runtimeConfig values
+// that should come from an environment variable
+function fromEnv(name) {
+  return builders.raw(`process.env.${name}`);
+}
+
+// Function to list the environment variables a config's runtimeConfig expects: keys
+// left empty map to Nuxt's own names (runtimeConfig.public.apiBase is
+// NUXT_PUBLIC_API_BASE) and `process.env.NAME` values to NAME. Keys with a
+// default are left out, since an empty variable would override it.
+function runtimeConfigEnvNames(config) {
+  const names = [];
+  const walk = (object, prefix) => {
+    for (const key of Object.keys(object)) {
+      const value = object[key];
+      const name = `${prefix}_${key.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase()}`;
+      if (value === "" || value === null) {
+        names.push(name);
+      } else if (value && value.$type === "object") {
+        walk(value, name);
+      } else if (value && value.$type === "memberExpression") {
+        const { object: env, property, computed } = value.$ast;
+        const isProcessEnv =
+          env.type === "MemberExpression" && env.object.name === "process" && env.property.name === "env";
+        if (isProcessEnv && !computed) {
+          names.push(property.name);
+        }
+      }
+    }
+  };
+  if (config.runtimeConfig && config.runtimeConfig.$type === "object") {
+    walk(config.runtimeConfig, "NUXT");
+  }
+  return names;
+}
@@ -0,0 +1,113 @@
+// Package managers: detecting which one a project uses and the commands for each
+const fs = require("fs");
+const path = require("path");
+const shell = require("shelljs");
+
+// In detection order. yarn comes first because it was the only choice before.
+// `ci` installs exactly what the lockfile has, failing if it's out of date.
+const PACKAGE_MANAGERS = {
+  yarn: {
+    lockfiles: ["yarn.lock"],
+    install: "yarn install",
+    ci: "yarn install --frozen-lockfile",
+    add: "yarn add",
+    addDev: "yarn add -D",
+    run: "yarn",
+    installHint: "corepack enable",
+  },
+  pnpm: {
+    lockfiles: ["pnpm-lock.yaml"],
+    install: "pnpm install",
+    ci: "pnpm install --frozen-lockfile",
+    add: "pnpm add",
+    addDev: "pnpm add -D",
+    run: "pnpm",
+    installHint: "corepack enable",
+  },
+  bun: {
+    lockfiles: ["bun.lockb", "bun.lock"],
+    install: "bun install",
+    ci: "bun install --frozen-lockfile",
+    add: "bun add",
+    addDev: "bun add -d",
+    run: "bun run",
+    installHint: "npm install -g bun",
+  },
+  npm: {
+    lockfiles: ["package-lock.json", "npm-shrinkwrap.json"],
+    install: "npm install",
+    ci: "npm ci",
+    add: "npm install",
+    addDev: "npm install -D",
+    run: "npm run",
+    installHint: "install Node.js from https://nodejs.org",
+  },
+};
+
+module.exports = {
+  PACKAGE_MANAGERS,
+  packageManagerNames,
+  pmCommand,
+  detectPackageManager,
+  mismatchedLockfiles,
+};
+
+// Function to list the supported package managers
+function packageManagerNames() {
+  return Object.keys(PACKAGE_MANAGERS);
+}
+
+// Function to build a command for a package manager:
+// pmCommand("pnpm", "addDev", "tailwindcss") is "pnpm add -D tailwindcss"
+function pmCommand(name, action, ...args) {
+  const manager = PACKAGE_MANAGERS[name];
+  if (!manager) {
+    throw new Error(`Unknown package manager "${name}". Use one of ${packageManagerNames().join(", ")}.`);
+  }
+  return [manager[action], ...args].join(" ");
+}
+
+// Function to work out which package manager a project (by default the cwd) uses:
+// its lockfile first, then package.json's "packageManager" field, then whatever is on PATH.
+// A lockfile or field naming a manager that isn't installed is skipped, since its lockfiles
+// get removed anyway once another manager is chosen. Returns { name, reason }, or null if none is installed.
+function detectPackageManager(dir = ".") {
+  const skipped = [];
+
+  for (const [name, { lockfiles }] of Object.entries(PACKAGE_MANAGERS)) {
+    const lockfile = lockfiles.find((file) => fs.existsSync(path.join(dir, file)));
+    if (lockfile) {
+      if (shell.which(name)) {
+        return { name, reason: `found ${lockfile}` };
+      }
+      skipped.push(`found ${lockfile}, but ${name} isn't installed`);
+    }
+  }
+
+  const packageJsonPath = path.join(dir, "package.json");
+  if (fs.existsSync(packageJsonPath)) {
+    try {
+      const { packageManager } = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
+      const name = typeof packageManager === "string" && packageManager.split("@")[0];
+      if (PACKAGE_MANAGERS[name]) {
+        if (shell.which(name)) {
+          return { name, reason: [...skipped, `package.json asks for ${packageManager}`].join("; ") };
+        }
+        skipped.push(`package.json asks for ${packageManager}, but ${name} isn't installed`);
+      }
+    } catch (error) {
+      // An unreadable package.json is reported by the steps that edit it
+    }
+  }
+
+  const installed = packageManagerNames().find((name) => shell.which(name));
+  return installed ? { name: installed, reason: [...skipped, `${installed} is installed`].join("; ") } : null;
+}
+
+// Function to list the lockfiles in a project (by default the cwd) that belong to other package managers
+function mismatchedLockfiles(name, dir = ".") {
+  return Object.entries(PACKAGE_MANAGERS)
+    .filter(([other]) => other !== name)
+    .flatMap(([, { lockfiles }]) => lockfiles)
+    .filter((file) => fs.existsSync(path.join(dir, file)));
+}
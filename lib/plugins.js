@@ -0,0 +1,67 @@
+// Plugins: extra setup steps from npm packages (listed in .room302rc.json) or .room302/plugins folders
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Where local plugin files live, in your home directory and in the current directory
+const PLUGINS_DIR = path.join(".room302", "plugins");
+
+module.exports = {
+  PLUGINS_DIR,
+  pluginSteps,
+  pluginFiles,
+  loadPlugins,
+};
+
+// Function to get the steps a plugin exports: a single step, a list of steps or { steps: [...] }
+function pluginSteps(exported) {
+  if (Array.isArray(exported)) {
+    return exported;
+  }
+  if (exported && Array.isArray(exported.steps)) {
+    return exported.steps;
+  }
+  return [exported];
+}
+
+// Function to list the plugin files in the home and current plugins folders, in name order
+function pluginFiles(cwd = process.cwd()) {
+  const dirs = [path.join(os.homedir(), PLUGINS_DIR), path.join(cwd, PLUGINS_DIR)];
+  return dirs
+    .filter((dir, index) => dirs.indexOf(dir) === index && fs.existsSync(dir))
+    .flatMap((dir) =>
+      fs
+        .readdirSync(dir)
+        .filter((file) => /\.c?js$/.test(file))
+        .sort()
+        .map((file) => path.join(dir, file))
+    );
+}
+
+// Function to find an npm package plugin, installed in the current directory, your home directory or next to this CLI
+function resolvePackage(name, cwd) {
+  try {
+    return require.resolve(name, { paths: [cwd, os.homedir(), __dirname] });
+  } catch (error) {
+    throw new Error(`Plugin ${name} isn't installed. Install it with: npm install -g ${name}`);
+  }
+}
+
+// Function to add every plugin's steps to the pipeline, returning the names of the plugins loaded
+function loadPlugins(pipeline, { packages = [], cwd = process.cwd() } = {}) {
+  const plugins = [
+    ...packages.map((name) => ({ name, file: resolvePackage(name, cwd) })),
+    ...pluginFiles(cwd).map((file) => ({ name: file, file })),
+  ];
+
+  for (const { name, file } of plugins) {
+    let exported;
+    try {
+      exported = require(file);
+    } catch (error) {
+      throw new Error(`Plugin ${name} failed to load: ${error.message}`);
+    }
+    pluginSteps(exported).forEach((step) => pipeline.add(step, `Plugin ${name}`));
+  }
+  return plugins.map(({ name }) => name);
+}
@@ -0,0 +1,82 @@
+// The new project's README.md and package.json metadata, built from the answers
+const { pmCommand } = require("./package-managers");
+const { DEPLOY_TARGETS } = require("./deploy");
+const { licenseLabel, licenseSpdx } = require("./licenses");
+
+const UI_FRAMEWORKS = {
+  "nuxt-ui": "[Nuxt UI](https://ui.nuxt.com)",
+  tailwind: "[Tailwind CSS](https://tailwindcss.com)",
+};
+
+module.exports = {
+  renderReadme,
+  licenseBadge,
+  projectMetadata,
+};
+
+// Function to build a shields.io badge for a license choice, linking to LICENSE
+function licenseBadge(license) {
+  // shields.io reads "-" and "_" as separators, doubled they are literal
+  const label = encodeURIComponent(licenseLabel(license).replace(/-/g, "--").replace(/_/g, "__"));
+  return `[![License: ${licenseLabel(license)}](https://img.shields.io/badge/license-${label}-blue.svg)](LICENSE)`;
+}
+
+// Function to list the chosen stack as README bullet points
+function stackList(answers) {
+  const stack = ["[Nuxt 3](https://nuxt.com)"];
+  if (UI_FRAMEWORKS[answers.uiFramework]) {
+    stack.push(UI_FRAMEWORKS[answers.uiFramework]);
+  }
+  if (answers.useContent) {
+    stack.push("[Nuxt Content](https://content.nuxt.com) for the Markdown pages in `content/`");
+  }
+  if (answers.useOpenAi) {
+    stack.push("[OpenAI](https://platform.openai.com) through `runtimeConfig.openaiApiKey`");
+  }
+  if (answers.supabase === "hosted" || answers.supabase === "local") {
+    stack.push(`[Supabase](https://supabase.com) (${answers.supabase === "local" ? "run locally in Docker" : "hosted"})`);
+  }
+  if (DEPLOY_TARGETS[answers.deployTarget]) {
+    stack.push(`Deployed to ${DEPLOY_TARGETS[answers.deployTarget].label}`);
+  }
+  return stack.map((item) => `- ${item}`).join("\n");
+}
+
+// Function to write the README for a new project
+function renderReadme(answers) {
+  const { projectName, description, license } = answers;
+  const packageManager = answers.packageManager || "yarn";
+  const setup = [pmCommand(packageManager, "install")];
+  if (answers.supabase === "local") {
+    setup.push("supabase start");
+  }
+  setup.push(pmCommand(packageManager, "run", "dev"));
+
+  const sections = [
+    `# ${projectName}`,
+    ...(description ? [description] : []),
+    ...(license ? [licenseBadge(license)] : []),
+    `## Stack\n\n${stackList(answers)}`,
+    `## Setup\n\nFill in the variables in \`.env\` (\`.env.example\` lists them), then:\n\n\`\`\`bash\n${setup.join("\n")}\n\`\`\`\n\nThe site runs at http://localhost:3000.`,
+    `## Build\n\n\`\`\`bash\n${pmCommand(packageManager, "run", "build")}\n\`\`\``,
+    ...(license ? [`## License\n\n${licenseLabel(license)}, see [LICENSE](LICENSE).`] : []),
+  ];
+  return `${sections.join("\n\n")}\n`;
+}
+
+// Function to get the package.json fields for the answers and the GitHub URL
+// (if there is one). Empty answers are left out, so the template's values stay.
+function projectMetadata({ description, author, homepage, license }, repositoryUrl = null) {
+  const metadata = {};
+  if (description) metadata.description = description;
+  if (author) metadata.author = author;
+  if (license) metadata.license = licenseSpdx(license);
+  if (repositoryUrl) {
+    metadata.repository = { type: "git", url: `git+${repositoryUrl}.git` };
+    metadata.bugs = { url: `${repositoryUrl}/issues` };
+  }
+  if (homepage || repositoryUrl) {
+    metadata.homepage = homepage || `${repositoryUrl}#readme`;
+  }
+  return metadata;
+}
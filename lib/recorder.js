@@ -0,0 +1,178 @@
+// Recording shell commands and file writes for --dry-run instead of running them
+const fs = require("fs");
+const path = require("path");
+const shell = require("shelljs");
+const { createTwoFilesPatch } = require("diff");
+
+// Commands that only read state, so a dry run can still execute them
+const READ_ONLY_COMMANDS = [
+  /^node -v$/,
+  /^gh repo view /,
+  /^docker info$/,
+  /^git remote get-url origin$/,
+  // The template commit a project is created from (see lib/update.js)
+  /^git rev-parse HEAD$/,
+  // Who is signed in to GitLab or Gitea (see lib/git-hosts.js)
+  /^(GITLAB_HOST=\S+ )?glab api user$/,
+  /^curl -sfS -H "Authorization: token \$GITEA_TOKEN" \S+\/api\/v1\/user$/,
+];
+
+// Commands that fetch the template. A dry run executes them inside its
+// throwaway staging directory, to show real diffs of the edits that would
+// be made, but still lists them in the plan.
+const FETCH_COMMANDS = [/^gh repo clone /, /^git clone /, /^git -C \S+ checkout /];
+
+module.exports = {
+  READ_ONLY_COMMANDS,
+  FETCH_COMMANDS,
+  createRecorder,
+  formatPlan,
+};
+
+// Function to create a recorder that stands in for shell.exec and fs writes
+function createRecorder({ stagingDir, targetDir }) {
+  const steps = [];
+  const files = new Map(); // overlay of written contents, keyed by absolute path
+  let original = null;
+
+  // Staging paths are shown as if the commands ran in the real target directory
+  const display = (text) => text.split(stagingDir).join(targetDir);
+  const relative = (file) => path.relative(stagingDir, path.resolve(file)) || ".";
+
+  const recorder = {
+    steps,
+
+    exec(command, ...args) {
+      const fetching = FETCH_COMMANDS.some((pattern) => pattern.test(command));
+      if (fetching || READ_ONLY_COMMANDS.some((pattern) => pattern.test(command))) {
+        if (fetching) {
+          steps.push({ type: "exec", command: display(command), cwd: relative(".") });
+        }
+        // shelljs itself writes temp files through fs while running a command, so only the
+        // fs functions are swapped back. shell.exec is left alone: a wrapper put over the
+        // recorder, like the logger's for each step, keeps seeing the rest of the commands.
+        const recording = { existsSync: fs.existsSync, readFileSync: fs.readFileSync, writeFileSync: fs.writeFileSync };
+        Object.assign(fs, {
+          existsSync: original.existsSync,
+          readFileSync: original.readFileSync,
+          writeFileSync: original.writeFileSync,
+        });
+        try {
+          return original.exec.call(shell, command, ...args);
+        } finally {
+          Object.assign(fs, recording);
+        }
+      }
+      steps.push({ type: "exec", command: display(command), cwd: relative(".") });
+      return { code: 0, stdout: "", stderr: "" };
+    },
+
+    mkdir(...args) {
+      const dirs = args.filter((arg) => !arg.startsWith("-"));
+      steps.push({ type: "exec", command: display(`mkdir ${args.join(" ")}`), cwd: relative(".") });
+      dirs.forEach((dir) => files.set(path.resolve(dir), null));
+    },
+
+    // Copying a local template into the staging directory is a fetch too
+    cp(...args) {
+      steps.push({ type: "exec", command: display(`cp ${args.flat().join(" ")}`), cwd: relative(".") });
+      return original.cp(...args);
+    },
+
+    rm(...args) {
+      steps.push({ type: "exec", command: display(`rm ${args.flat().join(" ")}`), cwd: relative(".") });
+    },
+
+    existsSync(file) {
+      return files.has(path.resolve(file)) || original.existsSync(file);
+    },
+
+    readFileSync(file, ...args) {
+      const key = path.resolve(String(file));
+      if (files.has(key) && files.get(key) !== null) {
+        return files.get(key);
+      }
+      return original.readFileSync(file, ...args);
+    },
+
+    writeFileSync(file, content) {
+      const key = path.resolve(file);
+      const existed = recorder.existsSync(file);
+      const before = existed ? String(recorder.readFileSync(file, "utf8")) : "";
+      const after = String(content);
+      const name = relative(file);
+      files.set(key, after);
+      steps.push({
+        type: "write",
+        file: name,
+        created: !existed,
+        unchanged: existed && before === after,
+        diff: createTwoFilesPatch(`a/${name}`, `b/${name}`, before, after, "", "", { context: 2 }),
+      });
+    },
+
+    // Function to route shell and fs calls through the recorder
+    install() {
+      original = {
+        exec: shell.exec,
+        cp: shell.cp,
+        mkdir: shell.mkdir,
+        rm: shell.rm,
+        existsSync: fs.existsSync,
+        readFileSync: fs.readFileSync,
+        writeFileSync: fs.writeFileSync,
+      };
+      shell.exec = recorder.exec;
+      shell.cp = recorder.cp;
+      shell.mkdir = recorder.mkdir;
+      shell.rm = recorder.rm;
+      fs.existsSync = recorder.existsSync;
+      fs.readFileSync = recorder.readFileSync;
+      fs.writeFileSync = recorder.writeFileSync;
+    },
+
+    // Function to put the real shell and fs functions back
+    restore() {
+      if (!original) return;
+      shell.exec = original.exec;
+      shell.cp = original.cp;
+      shell.mkdir = original.mkdir;
+      shell.rm = original.rm;
+      fs.existsSync = original.existsSync;
+      fs.readFileSync = original.readFileSync;
+      fs.writeFileSync = original.writeFileSync;
+      original = null;
+    },
+  };
+
+  return recorder;
+}
+
+// Function to format the recorded steps as a numbered plan
+function formatPlan(steps) {
+  if (steps.length === 0) {
+    return "Nothing would be done.";
+  }
+
+  return steps
+    .map((step, index) => {
+      const number = `${index + 1}.`;
+      if (step.type === "exec") {
+        const where = step.cwd === "." ? "" : ` (in ${step.cwd})`;
+        return `${number} $ ${step.command}${where}`;
+      }
+      if (step.unchanged) {
+        return `${number} rewrite ${step.file} (no changes)`;
+      }
+      const verb = step.created ? "create" : "edit";
+      // Drop the "====" separator, the ---/+++ lines already name the file
+      const diff = step.diff
+        .split("\n")
+        .slice(1)
+        .map((line) => line.replace(/\t$/, ""))
+        .join("\n")
+        .trimEnd();
+      return `${number} ${verb} ${step.file}\n${diff.replace(/^/gm, "   ")}`;
+    })
+    .join("\n");
+}
@@ -0,0 +1,71 @@
+// Undo actions registered by each setup step, run in reverse when setup fails
+const fs = require("fs");
+const path = require("path");
+const shell = require("shelljs");
+const { logger } = require("./logger");
+
+module.exports = {
+  createTransaction,
+};
+
+// Function to create a transaction that collects undo actions
+function createTransaction() {
+  const actions = [];
+
+  const transaction = {
+    actions,
+
+    // Function to register how to undo something that was just done
+    register(description, undo) {
+      actions.push({ description, undo });
+    },
+
+    // Function to remember files as they are now so they can be put back
+    snapshotFiles(description, files) {
+      const snapshots = files
+        .map((file) => {
+          const absolute = path.resolve(file);
+          if (!fs.existsSync(absolute)) {
+            return { file: absolute, content: null };
+          }
+          try {
+            return { file: absolute, content: fs.readFileSync(absolute, "utf8") };
+          } catch (error) {
+            // Directories can't be snapshotted, only files
+            return null;
+          }
+        })
+        .filter(Boolean);
+
+      transaction.register(description, () => {
+        for (const { file, content } of snapshots) {
+          if (content === null) {
+            shell.rm("-f", file);
+          } else {
+            fs.writeFileSync(file, content);
+          }
+        }
+      });
+    },
+
+    // Function to undo everything registered so far, newest first
+    async rollback() {
+      let succeeded = true;
+      while (actions.length > 0) {
+        const { description, undo } = actions.pop();
+        try {
+          logger.info(`↩️  ${description}...`);
+          if ((await undo()) === false) {
+            succeeded = false;
+          }
+        } catch (error) {
+          succeeded = false;
+          logger.error(`🚨 Could not undo "${description}":`, error);
+        }
+      }
+      return succeeded;
+    },
+  };
+
+  return transaction;
+}
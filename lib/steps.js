@@ -0,0 +1,93 @@
+// The setup pipeline: the ordered list of steps a run goes through, built-in and from plugins
+module.exports = {
+  createPipeline,
+  validateStep,
+};
+
+// Function to check a step has everything the runner needs. `source` names
+// where it came from (a plugin file or package) so errors are easy to trace.
+function validateStep(step, source = "built-in") {
+  const fail = (message) => {
+    throw new Error(`${source}: ${message}`);
+  };
+
+  if (!step || typeof step !== "object") {
+    fail("a step must be an object with an id, a title and a run(ctx) function");
+  }
+  if (typeof step.id !== "string" || !/^[\w-]+$/.test(step.id)) {
+    fail(`step id ${JSON.stringify(step.id)} must only contain letters, numbers, dashes and underscores`);
+  }
+  const name = `step "${step.id}"`;
+  if (typeof step.title !== "string" || step.title.trim() === "") {
+    fail(`${name} needs a "title"`);
+  }
+  if (typeof step.run !== "function") {
+    fail(`${name} needs a run(ctx) function`);
+  }
+  for (const key of ["when", "undo"]) {
+    if (step[key] !== undefined && typeof step[key] !== "function") {
+      fail(`${name}: "${key}" must be a function`);
+    }
+  }
+  if (step.undoTitle !== undefined && !["string", "function"].includes(typeof step.undoTitle)) {
+    fail(`${name}: "undoTitle" must be a string or a function`);
+  }
+  for (const key of ["before", "after"]) {
+    if (step[key] !== undefined && typeof step[key] !== "string") {
+      fail(`${name}: "${key}" must be the id of another step`);
+    }
+  }
+  if (step.before !== undefined && step.after !== undefined) {
+    fail(`${name} can't set both "before" and "after"`);
+  }
+  if (step.prompts !== undefined) {
+    if (!Array.isArray(step.prompts)) {
+      fail(`${name}: "prompts" must be a list of inquirer questions`);
+    }
+    step.prompts.forEach((prompt, index) => {
+      if (!prompt || typeof prompt.name !== "string" || !/^[A-Za-z_]\w*$/.test(prompt.name)) {
+        fail(`${name}: prompts[${index}] needs a "name" made of letters, numbers and underscores`);
+      }
+    });
+  }
+}
+
+// Function to create a pipeline from a list of steps. Steps added later go
+// at the end, or next to another step with `before` / `after`.
+function createPipeline(steps = []) {
+  const pipeline = {
+    steps: [],
+
+    add(step, source = "built-in") {
+      validateStep(step, source);
+      if (pipeline.steps.some(({ id }) => id === step.id)) {
+        throw new Error(`${source}: there is already a step with the id "${step.id}"`);
+      }
+      const taken = pipeline.questions().map(({ name }) => name);
+      const clash = (step.prompts || []).find(({ name }) => taken.includes(name));
+      if (clash) {
+        throw new Error(`${source}: step "${step.id}" asks "${clash.name}", which another step already asks`);
+      }
+
+      let index = pipeline.steps.length;
+      const anchor = step.before || step.after;
+      if (anchor) {
+        const at = pipeline.steps.findIndex(({ id }) => id === anchor);
+        if (at === -1) {
+          throw new Error(`${source}: step "${step.id}" wants to run next to "${anchor}", which doesn't exist`);
+        }
+        index = step.before ? at : at + 1;
+      }
+      pipeline.steps.splice(index, 0, { ...step, source });
+      return pipeline;
+    },
+
+    // Every step's prompts, in the order the steps run
+    questions() {
+      return pipeline.steps.flatMap((step) => step.prompts || []);
+    },
+  };
+
+  steps.forEach((step) => pipeline.add(step));
+  return pipeline;
+}
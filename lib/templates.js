@@ -0,0 +1,213 @@
+// Template sources: the named template registry and cloning from GitHub, git URLs or local folders
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const shell = require("shelljs");
+const { logger } = require("./logger");
+const { loadManifest } = require("./manifest");
+const { isCached, saveToCache, restoreFromCache } = require("./cache");
+
+// Files every template needs, because later steps edit them
+const CLI_REQUIRED_FILES = ["nuxt.config.ts", "package.json"];
+
+// Named templates offered in the prompts. .room302rc.json can add more under "templates".
+const TEMPLATES = {
+  nuxt: {
+    description: "Nuxt 3 with @nuxt/ui and Tailwind",
+    source: "room302studio/nuxt-template",
+    requiredFiles: ["tailwind.config.js", "app.vue"],
+  },
+  "nuxt-supabase": {
+    description: "Nuxt 3 with Supabase auth and database",
+    source: "room302studio/nuxt-supabase-template",
+    requiredFiles: ["app.vue"],
+  },
+  landing: {
+    description: "Single-page landing site",
+    source: "room302studio/landing-template",
+    requiredFiles: ["app.vue"],
+  },
+};
+
+const DEFAULT_TEMPLATE = "nuxt";
+
+// Folders never copied out of a local template
+const LOCAL_COPY_IGNORE = [".git", "node_modules", ".nuxt", ".output"];
+
+module.exports = {
+  CLI_REQUIRED_FILES,
+  TEMPLATES,
+  DEFAULT_TEMPLATE,
+  registerTemplates,
+  templateChoices,
+  parseTemplateSource,
+  absoluteTemplatePath,
+  fetchTemplate,
+  requiredFiles,
+};
+
+// Function to add or override named templates, e.g. from .room302rc.json
+function registerTemplates(templates = {}) {
+  for (const [name, template] of Object.entries(templates)) {
+    if (!template || typeof template.source !== "string") {
+      throw new Error(`Template "${name}" needs a "source" (owner/repo, git URL or local path)`);
+    }
+    TEMPLATES[name] = { requiredFiles: [], ...template };
+  }
+}
+
+// Function to list the named templates as prompt choices
+function templateChoices() {
+  return Object.entries(TEMPLATES).map(([name, template]) => ({
+    name: template.description ? `${name} (${template.description})` : name,
+    value: name,
+  }));
+}
+
+// Function to split a trailing #ref off a source
+function splitRef(spec) {
+  const index = spec.lastIndexOf("#");
+  return index === -1 ? [spec, null] : [spec.slice(0, index), spec.slice(index + 1) || null];
+}
+
+// Function to work out where a template comes from. Accepts a registry name,
+// owner/repo, owner/repo#ref, a git URL (optionally #ref) or a local directory.
+function parseTemplateSource(spec) {
+  if (typeof spec !== "string" || spec.trim() === "") {
+    throw new Error("Template must be a name, owner/repo, git URL or local path");
+  }
+
+  if (TEMPLATES[spec]) {
+    const { source, requiredFiles = [] } = TEMPLATES[spec];
+    return { ...parseTemplateSource(source), name: spec, requiredFiles };
+  }
+
+  if (/^(https?|ssh|git|file):\/\//.test(spec) || /^[\w.-]+@[\w.-]+:/.test(spec)) {
+    const [url, ref] = splitRef(spec);
+    return { type: "git", url, ref, label: spec, requiredFiles: [] };
+  }
+
+  const dir = localPath(spec);
+  if (dir) {
+    if (!fs.existsSync(dir)) {
+      throw new Error(`Template directory ${dir} does not exist`);
+    }
+    return { type: "local", path: dir, ref: null, label: dir, requiredFiles: [] };
+  }
+
+  const [repo, ref] = splitRef(spec);
+  if (/^[\w.-]+\/[\w.-]+$/.test(repo)) {
+    return { type: "github", repo, ref, label: spec, url: `https://github.com/${repo}`, requiredFiles: [] };
+  }
+
+  const known = Object.keys(TEMPLATES).join(", ");
+  throw new Error(
+    `Unknown template "${spec}". Use one of ${known}, owner/repo[#ref], a git URL or a local directory.`
+  );
+}
+
+// Function to get the absolute path a local template spec points at, or null
+// if it isn't one. Local paths have to be explicit (./, ../, / or ~) so they
+// never clash with owner/repo.
+function localPath(spec) {
+  if (/^(\.{1,2}|~)?[\\/]/.test(spec) || spec === "." || /^[a-zA-Z]:[\\/]/.test(spec)) {
+    return path.resolve(spec.startsWith("~") ? path.join(os.homedir(), spec.slice(1)) : spec);
+  }
+  return null;
+}
+
+// Function to make a local template path absolute, so it still points at the
+// same folder from another directory. Other templates are returned as they are.
+function absoluteTemplatePath(spec) {
+  return (typeof spec === "string" && localPath(spec)) || spec;
+}
+
+// Function to check out a branch, tag or commit in a fresh clone
+function checkoutRef(dir, ref) {
+  if (shell.exec(`git -C ${dir} checkout --quiet ${ref}`, { silent: true }).code !== 0) {
+    logger.error(`🚨 Couldn't find "${ref}" in the template. Check the branch, tag or commit name.`);
+    return false;
+  }
+  return true;
+}
+
+// Function to clone a template from GitHub with the gh CLI, or with plain git
+// over https when gh isn't installed (e.g. for projects hosted elsewhere)
+function cloneFromGitHub(source, dir) {
+  if (!shell.which("gh")) {
+    return cloneFromGit({ ...source, url: `${source.url}.git` }, dir);
+  }
+  // First verify the template repo exists
+  const repoCheck = shell.exec(
+    `gh repo view ${source.repo} --json name,html_url`,
+    { silent: true }
+  );
+  if (repoCheck.code !== 0) {
+    logger.error(`🚨 Template repository not accessible. Please check ${source.url}`);
+    return false;
+  }
+  if (shell.exec(`gh repo clone ${source.repo} ${dir}`, { silent: true }).code !== 0) {
+    logger.error("🚨 Oops! Git clone failed 😿");
+    return false;
+  }
+  return !source.ref || checkoutRef(dir, source.ref);
+}
+
+// Function to clone a template from any git URL
+function cloneFromGit(source, dir) {
+  if (shell.exec(`git clone ${source.url} ${dir}`, { silent: true }).code !== 0) {
+    logger.error(`🚨 Oops! Git clone of ${source.url} failed 😿`);
+    return false;
+  }
+  return !source.ref || checkoutRef(dir, source.ref);
+}
+
+// Function to copy a template out of a local directory
+function copyFromDirectory(source, dir) {
+  // Local directories are copied as they are, uncommitted changes included
+  const entries = fs
+    .readdirSync(source.path)
+    .filter((entry) => !LOCAL_COPY_IGNORE.includes(entry))
+    .map((entry) => path.join(source.path, entry));
+  fs.mkdirSync(dir, { recursive: true });
+  shell.cp("-R", entries, dir);
+  if (shell.error()) {
+    logger.error(`🚨 Oops! Copying the template from ${source.path} failed 😿`);
+    return false;
+  }
+  return true;
+}
+
+// Function to fetch a template into a new directory, returning false if it failed.
+// Remote templates are cached after every fetch (unless `cache` is false), and
+// `offline` uses that cached copy instead. Local directories never need either.
+function fetchTemplate(source, dir, { offline = false, cache = true } = {}) {
+  if (source.type === "local") {
+    return copyFromDirectory(source, dir);
+  }
+  if (offline) {
+    return restoreFromCache(source, dir);
+  }
+
+  const fetched = source.type === "github" ? cloneFromGitHub(source, dir) : cloneFromGit(source, dir);
+  if (!fetched) {
+    if (isCached(source)) {
+      logger.info("💡 A cached copy of this template exists. Use --offline to scaffold from it.");
+    }
+    return false;
+  }
+  if (cache) {
+    saveToCache(source, dir);
+  }
+  return true;
+}
+
+// Function to list the files a freshly fetched template (in the cwd) must contain.
+// Templates can declare them as "requiredFiles" in their room302.json.
+function requiredFiles(source) {
+  const manifest = loadManifest();
+  const declared = manifest && manifest.requiredFiles.length > 0
+    ? manifest.requiredFiles
+    : source.requiredFiles || [];
+  return [...new Set([...CLI_REQUIRED_FILES, ...declared])];
+}
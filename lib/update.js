@@ -0,0 +1,173 @@
+// Template updates: which commit of the template a project was created from, and
+// merging what changed in the template since then into the project
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const shell = require("shelljs");
+const { shellQuote } = require("./github");
+
+// Committed with the project, so every clone of it can be updated
+const TEMPLATE_RECORD = ".room302-template.json";
+
+module.exports = {
+  TEMPLATE_RECORD,
+  templateSha,
+  readTemplateRecord,
+  writeTemplateRecord,
+  templateChanges,
+  mergeTemplateChanges,
+  formatSummary,
+};
+
+// Function to get the commit a template checkout (by default the cwd) is at, or
+// null if it isn't a git repository (a local template)
+function templateSha(dir = ".") {
+  const head = shell.exec(dir === "." ? "git rev-parse HEAD" : `git -C ${dir} rev-parse HEAD`, { silent: true });
+  return (head.code === 0 && (head.stdout || "").trim()) || null;
+}
+
+// Function to read what the project in `dir` was created from: { template, source, sha }
+function readTemplateRecord(dir = ".") {
+  const file = path.join(dir, TEMPLATE_RECORD);
+  if (!fs.existsSync(file)) {
+    throw new Error(`There's no ${TEMPLATE_RECORD} here. Run this inside a project created by room302-template, since it started recording the template.`);
+  }
+  const record = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (typeof record.source !== "string") {
+    throw new Error(`${TEMPLATE_RECORD} doesn't say which template the project came from`);
+  }
+  return record;
+}
+
+// Function to write what a project was created from into `dir`
+function writeTemplateRecord({ template = null, source, sha }, dir = ".") {
+  fs.writeFileSync(path.join(dir, TEMPLATE_RECORD), JSON.stringify({ template, source, sha }, null, 2) + "\n");
+}
+
+// Function to list the files a template checkout changed between the commit `from`
+// and HEAD: [{ status, file, binary }], where status is A(dded), M(odified) or D(eleted)
+function templateChanges(templateDir, from) {
+  const git = (args) => {
+    const result = shell.exec(`git -C ${templateDir} ${args}`, { silent: true });
+    if (result.code !== 0) {
+      throw new Error(`git ${args.split(" ")[0]} failed in the template: ${(result.stderr || "").trim()}`);
+    }
+    return (result.stdout || "").split("\n").filter(Boolean);
+  };
+
+  git(`cat-file -e ${from}^{commit}`);
+  // Binary files show up in --numstat with "-" for the line counts
+  const binary = new Set(
+    git(`diff --numstat --no-renames ${from} HEAD`)
+      .map((line) => line.split("\t"))
+      .filter(([added, removed]) => added === "-" && removed === "-")
+      .map(([, , file]) => file)
+  );
+  return git(`diff --name-status --no-renames ${from} HEAD`).map((line) => {
+    const [status, file] = line.split("\t");
+    return { status: status[0], file, binary: binary.has(file) };
+  });
+}
+
+// Function to check two files have the same contents
+function sameContents(a, b) {
+  return fs.readFileSync(a).equals(fs.readFileSync(b));
+}
+
+// Function to apply one file's change, returning { outcome, reason }. `base` and
+// `theirs` are the template's file at the recorded commit and now, `ours` the project's.
+function mergeFile({ status, binary }, { ours, base, theirs, labels }, dryRun) {
+  const write = (apply) => {
+    if (!dryRun) apply();
+  };
+
+  if (status === "D") {
+    if (!fs.existsSync(ours)) {
+      return { outcome: "unchanged" };
+    }
+    if (sameContents(ours, base)) {
+      write(() => fs.unlinkSync(ours));
+      return { outcome: "deleted" };
+    }
+    return { outcome: "conflict", reason: "deleted in the template but changed here, so it was kept" };
+  }
+
+  if (!fs.existsSync(ours)) {
+    if (status === "M") {
+      return { outcome: "skipped", reason: "not in the project" };
+    }
+    write(() => {
+      fs.mkdirSync(path.dirname(ours), { recursive: true });
+      fs.copyFileSync(theirs, ours);
+    });
+    return { outcome: "added" };
+  }
+  if (sameContents(ours, theirs)) {
+    return { outcome: "unchanged" };
+  }
+  if (status === "M" && sameContents(ours, base)) {
+    write(() => fs.copyFileSync(theirs, ours));
+    return { outcome: "updated" };
+  }
+  if (binary) {
+    return { outcome: "conflict", reason: "a binary file changed on both sides, so yours was kept" };
+  }
+
+  const merge = shell.exec(
+    `git merge-file -p ${labels.map((label) => `-L ${shellQuote(label)}`).join(" ")} ${[ours, base, theirs].map(shellQuote).join(" ")}`,
+    { silent: true }
+  );
+  // git merge-file exits with the number of conflicts, or a negative number on errors
+  if (merge.code < 0 || merge.code > 127) {
+    throw new Error(`git merge-file failed on ${ours}: ${(merge.stderr || "").trim()}`);
+  }
+  write(() => fs.writeFileSync(ours, merge.stdout));
+  return merge.code === 0 ? { outcome: "merged" } : { outcome: "conflict", reason: "conflict markers left in it" };
+}
+
+// Function to merge the template's changes since the commit `from` into the project
+// in `projectDir`, three ways: the template then, the template now and the project.
+// With `dryRun` nothing is written. Returns [{ file, outcome, reason }].
+function mergeTemplateChanges(templateDir, from, changes, { projectDir = ".", dryRun = false } = {}) {
+  const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "room302-update-"));
+  try {
+    return changes.map((change, index) => {
+      // The template's file at the recorded commit; an added file had none, so it merges against nothing
+      const base = path.join(scratch, String(index));
+      if (change.status === "A") {
+        fs.writeFileSync(base, "");
+      } else if (shell.exec(`git -C ${templateDir} show ${shellQuote(`${from}:${change.file}`)} > ${shellQuote(base)}`, { silent: true }).code !== 0) {
+        throw new Error(`Couldn't read ${change.file} at ${from.slice(0, 7)} from the template`);
+      }
+
+      const files = {
+        ours: path.join(projectDir, change.file),
+        base,
+        theirs: path.join(templateDir, change.file),
+        labels: ["project", `template ${from.slice(0, 7)}`, "template now"],
+      };
+      return { file: change.file, reason: null, ...mergeFile(change, files, dryRun) };
+    });
+  } finally {
+    fs.rmSync(scratch, { recursive: true, force: true });
+  }
+}
+
+// What each outcome looks like in the summary, in the order they're listed
+const OUTCOMES = {
+  conflict: "⚠️  conflict",
+  merged: "🔀 merged  ",
+  updated: "✅ updated ",
+  added: "➕ added   ",
+  deleted: "🗑️  deleted ",
+  skipped: "⏭️  skipped ",
+};
+
+// Function to list what happened to each changed file, conflicts first.
+// Files the project already had in the template's new state are left out.
+function formatSummary(results) {
+  return Object.keys(OUTCOMES)
+    .flatMap((outcome) => results.filter((result) => result.outcome === outcome))
+    .map(({ file, outcome, reason }) => `${OUTCOMES[outcome]} ${file}${reason ? ` (${reason})` : ""}`)
+    .join("\n");
+}
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('fs');
+jest.mock('shelljs', () => ({
+  exec: jest.fn(),
+  echo: jest.fn(),
+  cp: jest.fn(),
+  rm: jest.fn(),
+  error: jest.fn()
+}));
+
+const shell = require('shelljs');
+const {
+  cacheRoot,
+  cacheKey,
+  saveToCache,
+  restoreFromCache,
+  listCache,
+  clearCache
+} = require('../lib/cache');
+
+describe('Template Cache', () => {
+  const root = '/cache/room302-template';
+  const github = { type: 'github', repo: 'acme/site', ref: 'v2', label: 'acme/site#v2', name: 'site' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.XDG_CACHE_HOME = '/cache';
+  });
+
+  afterAll(() => {
+    delete process.env.XDG_CACHE_HOME;
+  });
+
+  test('cacheRoot should honour XDG_CACHE_HOME', () => {
+    expect(cacheRoot()).toBe(root);
+  });
+
+  test('cacheKey should separate templates and refs', () => {
+    expect(cacheKey(github)).toBe('github-acme_site@v2');
+    expect(cacheKey({ ...github, ref: null })).toBe('github-acme_site@default');
+    expect(cacheKey({ type: 'git', url: 'https://example.com/site.git', ref: 'feature/x' }))
+      .toBe('git-example.com_site.git@feature_x');
+  });
+
+  test('saveToCache should copy the template and record its commit', () => {
+    fs.readdirSync.mockReturnValue(['.git', 'app.vue']);
+    shell.exec.mockReturnValue({ code: 0, stdout: 'abc123\n' });
+
+    expect(saveToCache(github, 'demo')).toBe(true);
+
+    const target = path.join(root, 'github-acme_site@v2');
+    expect(shell.rm).toHaveBeenCalledWith('-rf', target);
+    expect(shell.cp).toHaveBeenCalledWith('-R', [path.join('demo', '.git'), path.join('demo', 'app.vue')], target);
+    const [file, content] = fs.writeFileSync.mock.calls[0];
+    expect(file).toBe(`${target}.json`);
+    expect(JSON.parse(content)).toMatchObject({ source: 'acme/site#v2', ref: 'v2', name: 'site', spec: 'site', sha: 'abc123' });
+  });
+
+  test('saveToCache should only warn when the copy fails', () => {
+    fs.readdirSync.mockReturnValue(['app.vue']);
+    shell.error.mockReturnValueOnce('cp: no space left on device');
+
+    expect(saveToCache(github, 'demo')).toBe(false);
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+    expect(shell.echo).toHaveBeenCalledWith(expect.stringContaining("Couldn't cache the template"));
+  });
+
+  test('restoreFromCache should copy the cached template', () => {
+    fs.existsSync.mockReturnValue(true);
+    fs.readFileSync.mockReturnValue(JSON.stringify({ fetchedAt: '2024-05-01T00:00:00.000Z' }));
+    fs.readdirSync.mockImplementation((dir) => (dir === 'demo' ? [] : ['app.vue']));
+
+    expect(restoreFromCache(github, 'demo')).toBe(true);
+    expect(fs.mkdirSync).toHaveBeenCalledWith('demo', { recursive: true });
+    expect(shell.cp).toHaveBeenCalledWith('-R', [path.join(root, 'github-acme_site@v2', 'app.vue')], 'demo');
+  });
+
+  test('restoreFromCache should never copy into a directory that has files in it', () => {
+    fs.existsSync.mockReturnValue(true);
+    fs.readFileSync.mockReturnValue(JSON.stringify({ fetchedAt: '2024-05-01T00:00:00.000Z' }));
+    fs.readdirSync.mockReturnValue(['.git', 'package.json']);
+
+    expect(restoreFromCache(github, 'demo')).toBe(false);
+    expect(shell.echo).toHaveBeenCalledWith("🚨 demo already exists and isn't empty, so the cached template can't be copied into it");
+    expect(fs.mkdirSync).not.toHaveBeenCalled();
+    expect(shell.cp).not.toHaveBeenCalled();
+  });
+
+  test('restoreFromCache should explain how to cache a missing template', () => {
+    fs.existsSync.mockReturnValue(false);
+
+    expect(restoreFromCache(github, 'demo')).toBe(false);
+    expect(shell.echo).toHaveBeenCalledWith(expect.stringContaining('cache refresh acme/site#v2'));
+    expect(shell.cp).not.toHaveBeenCalled();
+  });
+
+  test('listCache should skip files that are not cache entries', () => {
+    fs.existsSync.mockReturnValue(true);
+    fs.readdirSync.mockReturnValue(['github-acme_site@v2', 'github-acme_site@v2.json', 'broken.json']);
+    fs.readFileSync.mockImplementation((file) =>
+      file.endsWith('broken.json') ? '{' : JSON.stringify({ key: 'github-acme_site@v2', source: 'acme/site#v2' })
+    );
+
+    expect(listCache()).toEqual([{ key: 'github-acme_site@v2', source: 'acme/site#v2' }]);
+  });
+
+  test('clearCache should remove every ref of one template', () => {
+    const entries = [
+      { key: 'github-acme_site@v1', type: 'github', id: 'acme/site', ref: 'v1', source: 'acme/site#v1' },
+      { key: 'github-acme_site@v2', type: 'github', id: 'acme/site', ref: 'v2', source: 'acme/site#v2' },
+      { key: 'github-acme_blog@default', type: 'github', id: 'acme/blog', ref: null, source: 'acme/blog' }
+    ];
+    fs.existsSync.mockReturnValue(true);
+    fs.readdirSync.mockReturnValue(entries.map(({ key }) => `${key}.json`));
+    fs.readFileSync.mockImplementation((file) =>
+      JSON.stringify(entries.find(({ key }) => file.endsWith(`${key}.json`)))
+    );
+
+    const removed = clearCache({ ...github, ref: null });
+
+    expect(removed.map(({ key }) => key)).toEqual(['github-acme_site@v1', 'github-acme_site@v2']);
+    expect(shell.rm).toHaveBeenCalledTimes(2);
+    expect(shell.rm).toHaveBeenCalledWith(
+      '-rf', path.join(root, 'github-acme_site@v1'), path.join(root, 'github-acme_site@v1.json')
+    );
+  });
+
+  test('clearCache should remove the whole cache folder without a template', () => {
+    fs.existsSync.mockReturnValue(false);
+
+    expect(clearCache()).toEqual([]);
+    expect(shell.rm).toHaveBeenCalledWith('-rf', root);
+  });
+});
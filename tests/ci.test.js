@@ -0,0 +1,44 @@
+const { ciWorkflow } = require('../lib/ci');
+
+describe('CI Workflow', () => {
+  const scripts = { lint: 'eslint .', test: 'vitest run', build: 'nuxt build', dev: 'nuxt dev' };
+
+  test('ciWorkflow should add a job for each check script the project has', () => {
+    const workflow = ciWorkflow({ packageManager: 'pnpm', defaultBranch: 'trunk' }, { scripts, lockfile: 'pnpm-lock.yaml', nvmrc: true });
+
+    expect(workflow).toContain('  push:\n    branches: [trunk]\n  pull_request:\n');
+    expect(workflow).toContain('  lint:\n');
+    expect(workflow).toContain('      - run: pnpm test\n');
+    expect(workflow).toContain('      - run: pnpm build\n');
+    expect(workflow).not.toContain('typecheck');
+    expect(workflow).not.toContain('deploy:');
+    expect(workflow).toContain('          node-version-file: .nvmrc\n          cache: pnpm\n          cache-dependency-path: pnpm-lock.yaml\n');
+    expect(workflow).toContain('      - run: pnpm install --frozen-lockfile\n');
+  });
+
+  test('ciWorkflow should install without a cache when there is no lockfile', () => {
+    const workflow = ciWorkflow({ packageManager: 'npm' }, { scripts: { build: 'nuxt build' } });
+
+    expect(workflow).toContain('          node-version: 20\n      - run: npm install\n');
+    expect(workflow).not.toContain('cache:');
+  });
+
+  test('ciWorkflow should check Supabase migrations and deploy after every check', () => {
+    const workflow = ciWorkflow({ packageManager: 'yarn', supabase: 'local', deployTarget: 'netlify' }, { scripts });
+
+    expect(workflow).toContain('      - run: supabase db start\n      - run: supabase db lint --level error\n');
+    expect(workflow).toContain("  deploy:\n    needs: [lint, test, build, supabase]\n    if: github.event_name == 'push'\n");
+    expect(workflow).toContain('      NETLIFY_AUTH_TOKEN: ${{ secrets.NETLIFY_AUTH_TOKEN }}\n');
+    expect(workflow).toContain('      - run: npx netlify-cli deploy --build --prod');
+  });
+
+  test('ciWorkflow should call the Pages workflow for GitHub Pages', () => {
+    const workflow = ciWorkflow({ deployTarget: 'github-pages' }, { scripts: { build: 'nuxt build' } });
+
+    expect(workflow).toContain('      pages: write\n      id-token: write\n    uses: ./.github/workflows/deploy.yml\n');
+  });
+
+  test('ciWorkflow should return null when there is nothing to run', () => {
+    expect(ciWorkflow({ packageManager: 'yarn' }, { scripts: { dev: 'nuxt dev' } })).toBeNull();
+  });
+});
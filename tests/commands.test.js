@@ -0,0 +1,43 @@
+const {
+  commandNames,
+  commandUsage,
+  closestMatch,
+  formatHelp,
+  formatCommandHelp
+} = require('../lib/commands');
+
+describe('Commands', () => {
+  test('closestMatch should find what a mistyped name was meant to be', () => {
+    expect(closestMatch('doctr', commandNames())).toBe('doctor');
+    expect(closestMatch('crate', commandNames())).toBe('create');
+    expect(closestMatch('--privat', ['--public', '--private'])).toBe('--private');
+    expect(closestMatch('my-app', commandNames())).toBeNull();
+    expect(closestMatch('app', commandNames())).toBe('add');
+    expect(closestMatch('app', commandNames(), 1)).toBeNull();
+    // Two edits turn any two-letter name into another, so short ones need to be closer
+    expect(closestMatch('ab', ['cd'])).toBeNull();
+  });
+
+  test('formatHelp should list the commands in columns', () => {
+    const help = formatHelp('1.2.3');
+
+    expect(help.split('\n')[0]).toBe('room302-template 1.2.3');
+    expect(help).toContain('  doctor  Check the tools a run needs are installed and signed in');
+    expect(help).toContain('  -v, --version  Show the version');
+  });
+
+  test('formatCommandHelp should add the given options to the command\'s own', () => {
+    const help = formatCommandHelp('doctor', [['--supabase <value>', 'Supabase']]);
+
+    expect(help).toBe([
+      `Usage: ${commandUsage('doctor')}`,
+      '',
+      'Check the tools a run needs are installed and signed in. Pass create\'s options to check for those features.',
+      '',
+      'Options:',
+      '  --json              Print the report as JSON',
+      '  --supabase <value>  Supabase'
+    ].join('\n'));
+    expect(formatCommandHelp('preset')).not.toContain('Options:');
+  });
+});
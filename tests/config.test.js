@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('fs');
+
+const {
+  homeConfigPath,
+  readConfigFile,
+  loadConfig,
+  getPreset,
+  saveLastRun,
+  savePreset
+} = require('../lib/config');
+
+// In-memory files keyed by absolute path
+let files;
+
+describe('Config Files', () => {
+  const home = path.join(os.homedir(), '.room302rc.json');
+  const project = path.join('/work', '.room302rc.json');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    files = {};
+    fs.existsSync.mockImplementation((file) => file in files);
+    fs.readFileSync.mockImplementation((file) => files[file]);
+    fs.writeFileSync.mockImplementation((file, content) => { files[file] = content; });
+  });
+
+  test('homeConfigPath should point at the home directory', () => {
+    expect(homeConfigPath()).toBe(home);
+  });
+
+  test('readConfigFile should return an empty config for a missing file', () => {
+    expect(readConfigFile(project)).toEqual({});
+  });
+
+  test('readConfigFile should report invalid JSON with the file name', () => {
+    files[project] = '{ nope';
+
+    expect(() => readConfigFile(project)).toThrow(`Could not parse ${project}`);
+  });
+
+  test('readConfigFile should reject presets that are not an object', () => {
+    files[project] = JSON.stringify({ presets: ['client-work'] });
+
+    expect(() => readConfigFile(project)).toThrow('"presets" in');
+  });
+
+  test('readConfigFile should reject plugins that are not package names', () => {
+    files[project] = JSON.stringify({ plugins: 'room302-plugin-netlify' });
+
+    expect(() => readConfigFile(project)).toThrow('"plugins" in');
+  });
+
+  test('loadConfig should let the project config override the home config', () => {
+    files[home] = JSON.stringify({
+      defaults: { githubOrg: 'room302studio', license: 'mit' },
+      presets: { 'client-work': { isRepoPublic: false } },
+      plugins: ['room302-plugin-netlify'],
+      lastRun: { uiFramework: 'none' }
+    });
+    files[project] = JSON.stringify({
+      defaults: { license: 'proprietary' },
+      presets: { landing: { uiFramework: 'tailwind' } },
+      plugins: ['room302-plugin-netlify', 'room302-plugin-sentry']
+    });
+
+    expect(loadConfig('/work')).toEqual({
+      defaults: { githubOrg: 'room302studio', license: 'proprietary' },
+      presets: {
+        'client-work': { isRepoPublic: false },
+        landing: { uiFramework: 'tailwind' }
+      },
+      templates: {},
+      plugins: ['room302-plugin-netlify', 'room302-plugin-sentry'],
+      lastRun: { uiFramework: 'none' }
+    });
+  });
+
+  test('getPreset should list the available presets for an unknown name', () => {
+    const config = { presets: { 'client-work': {} } };
+
+    expect(() => getPreset(config, 'nope')).toThrow('Available presets: client-work');
+  });
+
+  test('saveLastRun should keep everything except what is specific to the project', () => {
+    files[home] = JSON.stringify({ defaults: { license: 'mit' } });
+
+    saveLastRun({
+      projectName: 'test-project',
+      description: 'A site',
+      homepage: 'https://example.com',
+      topics: 'nuxt, portfolio',
+      copyrightHolder: 'The test-project authors',
+      remoteUrl: 'git@example.com:me/test-project.git',
+      uiFramework: 'nuxt-ui',
+      license: 'proprietary'
+    });
+
+    expect(JSON.parse(files[home])).toEqual({
+      defaults: { license: 'mit' },
+      lastRun: { uiFramework: 'nuxt-ui', license: 'proprietary' }
+    });
+  });
+
+  test('savePreset should store the last run under the given name', () => {
+    files[home] = JSON.stringify({ lastRun: { githubOrg: 'room302studio', isRepoPublic: false } });
+
+    savePreset('client-work');
+
+    expect(JSON.parse(files[home]).presets).toEqual({
+      'client-work': { githubOrg: 'room302studio', isRepoPublic: false }
+    });
+  });
+
+  test('savePreset should fail when nothing has been run yet', () => {
+    expect(() => savePreset('client-work')).toThrow('No previous run to save');
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,48 @@
+const { deployTargetNames, deployConfig } = require('../lib/deploy');
+
+describe('Deploy Targets', () => {
+  test('deployTargetNames should list every supported host', () => {
+    expect(deployTargetNames()).toEqual(['netlify', 'vercel', 'github-pages']);
+  });
+
+  test('deployConfig should build with the project\'s package manager', () => {
+    expect(deployConfig('netlify', { packageManager: 'npm' }).content).toContain('command = "npm run build"');
+    expect(JSON.parse(deployConfig('vercel', { packageManager: 'bun' }).content)).toMatchObject({
+      framework: 'nuxtjs',
+      buildCommand: 'bun run build',
+    });
+  });
+
+  test('deployConfig should set up the package manager in the Pages workflow', () => {
+    const { file, content, preset } = deployConfig('github-pages', { packageManager: 'pnpm', projectName: 'site' });
+
+    expect(file).toBe('.github/workflows/deploy.yml');
+    expect(preset).toBe('github_pages');
+    expect(content).toContain('      - run: corepack enable\n');
+    expect(content).toContain('      - run: pnpm install\n');
+    expect(content).toContain('path: ./.output/public');
+    expect(deployConfig('github-pages', { packageManager: 'bun', projectName: 'site' }).content).toContain(
+      'oven-sh/setup-bun@v2'
+    );
+  });
+
+  test('deployConfig should deploy Pages from the default branch', () => {
+    expect(deployConfig('github-pages', { projectName: 'site' }).content).toContain('branches: [main]');
+    expect(deployConfig('github-pages', { projectName: 'site', defaultBranch: 'trunk' }).content).toContain(
+      'branches: [trunk]'
+    );
+  });
+
+  test('deployConfig should leave the Pages deploy to CI when there is a CI workflow', () => {
+    const { content } = deployConfig('github-pages', { packageManager: 'bun', projectName: 'site', ci: true, lockfile: 'bun.lockb' });
+
+    expect(content).toContain('on:\n  workflow_call:\n  workflow_dispatch:\n');
+    expect(content).not.toContain('push:');
+    expect(content).toContain("key: bun-${{ runner.os }}-${{ hashFiles('bun.lockb') }}");
+    expect(content).toContain('      - run: bun install --frozen-lockfile\n');
+  });
+
+  test('deployConfig should reject unknown targets', () => {
+    expect(() => deployConfig('heroku', {})).toThrow('Unknown deploy target "heroku"');
+  });
+});
@@ -0,0 +1,171 @@
+const fs = require('fs');
+
+jest.mock('fs');
+jest.mock('shelljs', () => ({
+  exec: jest.fn(),
+  which: jest.fn()
+}));
+
+const shell = require('shelljs');
+const {
+  parseNodeVersion,
+  nodeRange,
+  runChecks,
+  missingRequired,
+  formatReport
+} = require('../lib/doctor');
+
+// Run the checks as if the CLI were running on another Node.js
+const withNodeVersion = (version, run) => {
+  const actual = Object.getOwnPropertyDescriptor(process, 'version');
+  Object.defineProperty(process, 'version', { ...actual, value: version });
+  try {
+    return run();
+  } finally {
+    Object.defineProperty(process, 'version', actual);
+  }
+};
+
+const result = (results, id) => results.find((check) => check.id === id);
+
+describe('Doctor', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.existsSync.mockReturnValue(false);
+    shell.which.mockReturnValue('/usr/local/bin/tool');
+    shell.exec.mockReturnValue({ code: 0, stdout: '' });
+  });
+
+  describe('Node.js version', () => {
+    test('parseNodeVersion should read pinned versions and ignore aliases', () => {
+      expect(parseNodeVersion('v18.17.1\n')).toBe('18.17.1');
+      expect(parseNodeVersion('20')).toBe('20.0.0');
+      expect(parseNodeVersion('lts/hydrogen')).toBeNull();
+      expect(parseNodeVersion('node')).toBeNull();
+    });
+
+    test('nodeRange should follow .nvmrc, or fall back to the minimum', () => {
+      expect(nodeRange('/work')).toEqual({ range: '>=18.0.0', version: '18.0.0', source: 'room302-template' });
+
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('v18.17\n');
+      expect(nodeRange('/work')).toEqual({ range: '>=18.17.0', version: '18.17.0', source: '.nvmrc' });
+      expect(fs.readFileSync).toHaveBeenCalledWith('/work/.nvmrc', 'utf8');
+
+      expect(nodeRange(null)).toEqual({ range: '>=18.0.0', version: '18.0.0', source: 'room302-template' });
+    });
+
+    test('should accept a newer Node.js than .nvmrc pins', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('18');
+
+      const node = withNodeVersion('v20.11.0', () => result(runChecks({}, { cwd: '/work' }), 'node'));
+
+      expect(node).toMatchObject({ ok: true, version: '20.11.0' });
+    });
+
+    test('should compare versions as semver, so 18.9 is older than 18.17', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('18.17.1');
+
+      const node = withNodeVersion('v18.9.0', () => result(runChecks({}, { cwd: '/work' }), 'node'));
+
+      expect(node).toMatchObject({ ok: false, required: true, version: '18.9.0', detail: '.nvmrc needs >=18.17.1' });
+      expect(node.hint).toBe('nvm install 18.17.1 && nvm use 18.17.1');
+    });
+
+    test('should fail below the minimum without an .nvmrc', () => {
+      const node = withNodeVersion('v16.20.2', () => result(runChecks(), 'node'));
+
+      expect(node).toMatchObject({ ok: false, detail: 'room302-template needs >=18.0.0' });
+    });
+  });
+
+  describe('runChecks', () => {
+    test('should make tools required only for the features that use them', () => {
+      const required = (answers, options) =>
+        Object.fromEntries(runChecks(answers, options).map(({ id, required }) => [id, required]));
+
+      expect(required({})).toEqual({
+        node: true,
+        git: true,
+        'git-host': true,
+        'package-manager': true,
+        docker: false,
+        supabase: false,
+        editor: false
+      });
+      expect(required({ supabase: 'hosted' })).toMatchObject({ docker: false, supabase: true });
+      expect(required({ supabase: 'local' })).toMatchObject({ docker: true, supabase: true });
+      expect(required({ gitHost: 'remote' })).not.toHaveProperty('git-host');
+      expect(required({}, { offline: true })).not.toHaveProperty('git-host');
+    });
+
+    test('should check the chosen host is signed in', () => {
+      shell.exec.mockImplementation((command) => ({ code: command.includes('auth status') ? 1 : 0, stdout: 'glab 1.36.0' }));
+
+      const host = result(runChecks({ gitHost: 'gitlab', gitHostUrl: 'https://git.example.com' }), 'git-host');
+
+      expect(shell.exec).toHaveBeenCalledWith('glab auth status --hostname git.example.com', { silent: true });
+      expect(host).toMatchObject({ label: 'glab', ok: false, version: '1.36.0', detail: 'not signed in', hint: 'glab auth login' });
+    });
+
+    test('should count a Gitea token in the environment as signed in', () => {
+      runChecks({ gitHost: 'gitea' });
+
+      expect(shell.exec).toHaveBeenCalledWith('test -n "$GITEA_TOKEN"', { silent: true });
+    });
+
+    test('should tell an installed Docker that is not running apart from a missing one', () => {
+      shell.exec.mockImplementation((command) => ({ code: command.startsWith('docker info') ? 1 : 0, stdout: '' }));
+      expect(result(runChecks({ supabase: 'local' }), 'docker')).toMatchObject({ ok: false, detail: 'not running', hint: 'start Docker' });
+
+      shell.which.mockImplementation((tool) => (tool === 'docker' ? null : '/usr/local/bin/tool'));
+      expect(result(runChecks({ supabase: 'local' }), 'docker')).toMatchObject({ ok: false, detail: 'not found' });
+    });
+
+    test('should accept any package manager when it is detected from the template', () => {
+      shell.which.mockImplementation((tool) => (['npm', 'pnpm'].includes(tool) ? `/usr/local/bin/${tool}` : null));
+
+      expect(result(runChecks({ packageManager: 'auto' }), 'package-manager')).toMatchObject({
+        label: 'package manager',
+        ok: true,
+        detail: 'pnpm, npm'
+      });
+      expect(result(runChecks({ packageManager: 'bun' }), 'package-manager')).toMatchObject({
+        label: 'bun',
+        ok: false,
+        hint: 'npm install -g bun'
+      });
+    });
+
+    test('should count a check that throws as failed', () => {
+      shell.exec.mockImplementation((command) => {
+        if (command === 'git --version') throw new Error('git exploded');
+        return { code: 0, stdout: '' };
+      });
+
+      const results = runChecks();
+
+      expect(result(results, 'git')).toMatchObject({ ok: false, detail: 'git exploded' });
+      expect(missingRequired(results).map(({ id }) => id)).toEqual(['git']);
+    });
+  });
+
+  describe('formatReport', () => {
+    test('should line up the checks and say how to fix failures', () => {
+      const report = formatReport([
+        { label: 'Node.js', purpose: 'the CLI', required: true, ok: true, version: '20.11.1' },
+        { label: 'Supabase CLI', purpose: 'Supabase', required: true, ok: false, detail: 'not found', hint: 'npm install -g supabase' },
+        { label: 'code', purpose: 'VS Code', required: false, ok: false, detail: 'not found' }
+      ]);
+
+      expect(report).toBe([
+        '✅ Node.js       20.11.1    required for the CLI',
+        '❌ Supabase CLI  not found  required for Supabase',
+        '   👉 npm install -g supabase',
+        '➖ code          not found  optional for VS Code'
+      ].join('\n'));
+    });
+  });
+});
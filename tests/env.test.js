@@ -0,0 +1,57 @@
+const fs = require('fs');
+
+jest.mock('fs');
+
+const { parseEnv, addEnvVariables, ensureGitignored, parseVariableNames } = require('../lib/env');
+
+describe('Env Files', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.existsSync.mockReturnValue(true);
+  });
+
+  test('parseEnv should read variables and skip comments', () => {
+    expect(parseEnv('# Supabase\nSUPABASE_URL="http://localhost"\n\nexport OPENAI_API_KEY=sk-1\n')).toEqual({
+      SUPABASE_URL: 'http://localhost',
+      OPENAI_API_KEY: 'sk-1',
+    });
+  });
+
+  test('addEnvVariables should append only the variables that are missing', () => {
+    fs.readFileSync.mockReturnValue('SUPABASE_URL=https://abc.supabase.co');
+
+    const added = addEnvVariables('.env', { SUPABASE_URL: 'placeholder', SUPABASE_KEY: '' }, 'Supabase');
+
+    expect(added).toEqual(['SUPABASE_KEY']);
+    expect(fs.writeFileSync).toHaveBeenCalledWith(
+      '.env',
+      'SUPABASE_URL=https://abc.supabase.co\n\n# Supabase\nSUPABASE_KEY=\n'
+    );
+  });
+
+  test('addEnvVariables should leave the file alone when everything is set', () => {
+    fs.readFileSync.mockReturnValue('SUPABASE_KEY=secret\n');
+
+    expect(addEnvVariables('.env', { SUPABASE_KEY: '' })).toEqual([]);
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+  });
+
+  test('ensureGitignored should add the pattern once', () => {
+    fs.readFileSync.mockReturnValue('node_modules');
+
+    expect(ensureGitignored('.env')).toBe(true);
+    expect(fs.writeFileSync).toHaveBeenCalledWith('.gitignore', 'node_modules\n.env\n');
+
+    fs.readFileSync.mockReturnValue('node_modules\n/.env\n');
+    expect(ensureGitignored('.env')).toBe(false);
+
+    fs.readFileSync.mockReturnValue('.nuxt/\nnode_modules/\n');
+    expect(ensureGitignored('node_modules')).toBe(false);
+  });
+
+  test('parseVariableNames should split, trim and dedupe names', () => {
+    expect(parseVariableNames(' OPENAI_API_KEY, SUPABASE_KEY,,OPENAI_API_KEY ')).toEqual(['OPENAI_API_KEY', 'SUPABASE_KEY']);
+    expect(parseVariableNames()).toEqual([]);
+    expect(() => parseVariableNames('API KEY')).toThrow('Invalid variable name "API KEY"');
+  });
+});
@@ -0,0 +1,70 @@
+const fs = require('fs');
+
+jest.mock('fs');
+
+const {
+  featureNames,
+  featureFor,
+  readProjectState,
+  missingPieces
+} = require('../lib/features');
+
+// Serve a project's package.json and nuxt.config.ts
+const mockProject = (packageJson, nuxtConfig) =>
+  fs.readFileSync.mockImplementation((file) => (file === 'package.json' ? JSON.stringify(packageJson) : nuxtConfig));
+
+describe('Features', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.existsSync.mockReturnValue(true);
+  });
+
+  test('should offer the UI frameworks, features and deploy targets', () => {
+    expect(featureNames()).toEqual(['tailwind', 'nuxt-ui', 'content', 'openai', 'supabase', 'netlify', 'vercel', 'github-pages', 'ci']);
+    expect(() => featureFor('bootstrap')).toThrow('Unknown feature "bootstrap"');
+  });
+
+  test('readProjectState should read package.json and nuxt.config.ts', () => {
+    mockProject(
+      { dependencies: { nuxt: '^3.15.0' }, devDependencies: { tailwindcss: '^3.4.0' } },
+      "export default defineNuxtConfig({ modules: [['@nuxtjs/supabase', {}]], css: ['~/assets/css/tailwind.css'], runtimeConfig: { openaiApiKey: '' }, nitro: { preset: 'vercel' } })"
+    );
+
+    expect(readProjectState()).toMatchObject({
+      dependencies: ['nuxt', 'tailwindcss'],
+      modules: ['@nuxtjs/supabase'],
+      css: ['~/assets/css/tailwind.css'],
+      runtimeConfig: ['openaiApiKey'],
+      nitroPreset: 'vercel'
+    });
+  });
+
+  test('readProjectState should only work inside a Nuxt project', () => {
+    fs.existsSync.mockImplementation((file) => file === 'package.json');
+    expect(() => readProjectState()).toThrow("There's no package.json and nuxt.config.ts here");
+
+    fs.existsSync.mockReturnValue(true);
+    mockProject({}, 'export default defineNuxtConfig({');
+    expect(() => readProjectState()).toThrow("Can't read nuxt.config.ts: it isn't valid TypeScript");
+  });
+
+  test('missingPieces should list what a feature still needs', () => {
+    fs.existsSync.mockImplementation((file) => file !== 'postcss.config.js');
+    mockProject(
+      { devDependencies: { tailwindcss: '^3.4.0', postcss: '^8.4.0', autoprefixer: '^10.4.0' } },
+      "export default defineNuxtConfig({ nitro: { preset: 'netlify' } })"
+    );
+    const state = readProjectState();
+
+    expect(missingPieces('tailwind', state)).toEqual(['postcss.config.js', '~/assets/css/tailwind.css in css']);
+    expect(missingPieces('netlify', state)).toEqual([]);
+    expect(missingPieces('vercel', state)).toEqual(['nitro.preset "vercel"']);
+    expect(missingPieces('openai', state)).toEqual(['runtimeConfig.openaiApiKey']);
+  });
+
+  test('tailwind should conflict with Nuxt UI', () => {
+    mockProject({}, "export default defineNuxtConfig({ modules: ['@nuxt/ui'] })");
+
+    expect(featureFor('tailwind').conflict(readProjectState())).toContain('Nuxt UI');
+  });
+});
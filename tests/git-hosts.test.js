@@ -0,0 +1,75 @@
+const { GIT_HOSTS, gitHostNames, gitHostFor, parseHostUrl, parseRemoteUrl } = require('../lib/git-hosts');
+
+const repo = {
+  url: 'https://git.example.com',
+  owner: 'acme',
+  name: 'site',
+  slug: 'acme/site',
+  personal: false,
+  isPublic: false,
+  description: "Ada's site",
+  defaultBranch: 'main',
+  topics: ['nuxt'],
+  dir: '/work/site',
+};
+
+describe('Git Hosts', () => {
+  test('gitHostFor should default to GitHub and reject unknown hosts', () => {
+    expect(gitHostNames()).toEqual(['github', 'gitlab', 'gitea', 'remote']);
+    expect(gitHostFor().label).toBe('GitHub');
+    expect(() => gitHostFor('bitbucket')).toThrow('Unknown git host "bitbucket"');
+  });
+
+  test('GitLab should point glab at a self-hosted server', () => {
+    const { gitlab } = GIT_HOSTS;
+
+    expect(gitlab.create(repo)).toEqual([
+      "GITLAB_HOST=https://git.example.com glab repo create acme/site --private --defaultBranch main --description 'Ada'\\''s site' --tag nuxt",
+    ]);
+    expect(gitlab.remoteUrl(repo)).toBe('https://git.example.com/acme/site.git');
+    expect(gitlab.configure({ hasIssues: false }, repo)).toEqual([
+      'GITLAB_HOST=https://git.example.com glab api -X PUT projects/acme%2Fsite -F issues_enabled=false',
+    ]);
+    expect(gitlab.secret('API_KEY', { url: 'https://gitlab.com' })).toBe('glab variable set API_KEY');
+    expect(gitlab.protect('main', { ...repo, url: 'https://gitlab.com' })).toContain(
+      'glab api -X POST projects/acme%2Fsite/protected_branches -f name=main -F push_access_level=0'
+    );
+    expect(gitlab.username('{"username":"ada"}')).toBe('ada');
+  });
+
+  test('Gitea should call the REST API with the token from the environment', () => {
+    const { gitea } = GIT_HOSTS;
+
+    expect(gitea.create(repo)).toEqual([
+      `curl -sfS -o /dev/null -X POST -H "Authorization: token $GITEA_TOKEN" -H "Content-Type: application/json" -d '{"name":"site","private":true,"description":"Ada'\\''s site","default_branch":"main"}' https://git.example.com/api/v1/orgs/acme/repos`,
+    ]);
+    expect(gitea.create({ ...repo, personal: true })[0]).toContain('https://git.example.com/api/v1/user/repos');
+    expect(gitea.configure({ hasWiki: false, collaborators: 'alice:maintain, @design' }, repo)).toEqual([
+      `curl -sfS -o /dev/null -X PATCH -H "Authorization: token $GITEA_TOKEN" -H "Content-Type: application/json" -d '{"has_wiki":false}' https://git.example.com/api/v1/repos/acme/site`,
+      `curl -sfS -o /dev/null -X PUT -H "Authorization: token $GITEA_TOKEN" -H "Content-Type: application/json" -d '{"topics":["nuxt"]}' https://git.example.com/api/v1/repos/acme/site/topics`,
+      `curl -sfS -o /dev/null -X PUT -H "Authorization: token $GITEA_TOKEN" -H "Content-Type: application/json" -d '{"permission":"write"}' https://git.example.com/api/v1/repos/acme/site/collaborators/alice`,
+      'curl -sfS -o /dev/null -X PUT -H "Authorization: token $GITEA_TOKEN" https://git.example.com/api/v1/repos/acme/site/teams/design',
+    ]);
+    expect(gitea.remove(repo)).toBe(
+      'curl -sfS -o /dev/null -X DELETE -H "Authorization: token $GITEA_TOKEN" https://git.example.com/api/v1/repos/acme/site'
+    );
+    expect(gitea.secret('API_KEY', repo)).toBeNull();
+  });
+
+  test('a plain remote should only set origin', () => {
+    const { remote } = GIT_HOSTS;
+
+    expect(remote.create(repo)).toEqual([]);
+    expect(remote.remoteUrl({ remoteUrl: 'git@git.example.com:acme/site.git' })).toBe('git@git.example.com:acme/site.git');
+    expect(remote.webUrl({ remoteUrl: 'https://git.example.com/acme/site.git' })).toBe('https://git.example.com/acme/site');
+    expect(remote.webUrl({ remoteUrl: 'git@git.example.com:acme/site.git' })).toBeNull();
+    expect(remote.remove(repo)).toBeNull();
+  });
+
+  test('parseHostUrl and parseRemoteUrl should reject what git cannot use', () => {
+    expect(parseHostUrl('https://git.example.com/')).toBe('https://git.example.com');
+    expect(() => parseHostUrl('git.example.com')).toThrow('Invalid host URL');
+    expect(parseRemoteUrl('ssh://git@git.example.com:2222/acme/site.git')).toBe('ssh://git@git.example.com:2222/acme/site.git');
+    expect(() => parseRemoteUrl('acme/site')).toThrow('Invalid remote URL');
+  });
+});
@@ -0,0 +1,62 @@
+const {
+  shellQuote,
+  parseTopics,
+  parseBranchName,
+  parseCollaborators,
+  repoSettingsCommands,
+  branchProtectionCommand,
+} = require('../lib/github');
+
+describe('GitHub Settings', () => {
+  test('shellQuote should keep quotes in the value', () => {
+    expect(shellQuote("Ada's site")).toBe("'Ada'\\''s site'");
+  });
+
+  test('parseTopics should lowercase, trim and dedupe topics', () => {
+    expect(parseTopics(' Nuxt, portfolio,,nuxt ')).toEqual(['nuxt', 'portfolio']);
+    expect(parseTopics()).toEqual([]);
+    expect(() => parseTopics('nuxt 3')).toThrow('Invalid topic "nuxt 3"');
+  });
+
+  test('parseBranchName should reject names git would refuse', () => {
+    expect(parseBranchName(' trunk ')).toBe('trunk');
+    expect(parseBranchName('release/v1')).toBe('release/v1');
+    expect(() => parseBranchName('my branch')).toThrow('Invalid branch name "my branch"');
+    expect(() => parseBranchName('a..b')).toThrow('Invalid branch name');
+  });
+
+  test('parseCollaborators should read users, teams and permissions', () => {
+    expect(parseCollaborators('alice, @design:maintain')).toEqual([
+      { type: 'user', name: 'alice', permission: 'push' },
+      { type: 'team', name: 'design', permission: 'maintain' },
+    ]);
+    expect(() => parseCollaborators('alice:owner')).toThrow('Invalid permission "owner"');
+    expect(() => parseCollaborators('al ice')).toThrow('Invalid collaborator "al ice"');
+  });
+
+  test('repoSettingsCommands should turn the answers into gh api calls', () => {
+    expect(repoSettingsCommands({
+      description: 'A site',
+      homepage: 'https://example.com',
+      hasIssues: true,
+      hasWiki: false,
+      topics: 'nuxt, portfolio',
+      collaborators: 'alice, @design:maintain',
+    })).toEqual([
+      "gh api -X PATCH repos/{owner}/{repo} -f description='A site' -f homepage='https://example.com' -F has_issues=true -F has_wiki=false --silent",
+      'gh api -X PUT repos/{owner}/{repo}/topics -f "names[]=nuxt" -f "names[]=portfolio" --silent',
+      'gh api -X PUT repos/{owner}/{repo}/collaborators/alice -f permission=push --silent',
+      'gh api -X PUT orgs/{owner}/teams/design/repos/{owner}/{repo} -f permission=maintain --silent',
+    ]);
+    expect(repoSettingsCommands({ topics: '' })).toEqual([]);
+  });
+
+  test('branchProtectionCommand should require reviews and block force pushes', () => {
+    const command = branchProtectionCommand('main');
+
+    expect(command).toContain('gh api -X PUT repos/{owner}/{repo}/branches/main/protection');
+    expect(command).toContain('"required_pull_request_reviews[required_approving_review_count]=1"');
+    expect(command).toContain('-F allow_force_pushes=false');
+    expect(() => branchProtectionCommand('no good')).toThrow('Invalid branch name');
+  });
+});
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('fs');
+jest.mock('shelljs', () => ({
+  rm: jest.fn()
+}));
+
+const shell = require('shelljs');
+const {
+  JOURNAL_FILENAME,
+  createJournal,
+  readJournal,
+  writeJournal,
+  removeJournal
+} = require('../lib/journal');
+
+describe('Setup Journal', () => {
+  const projectDir = '/work/test-project';
+  const file = path.join(projectDir, JOURNAL_FILENAME);
+  const answers = { projectName: 'test-project', uiFramework: 'nuxt-ui' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('createJournal should start with no completed steps', () => {
+    const journal = createJournal(answers, projectDir);
+
+    expect(journal).toMatchObject({ version: 1, projectDir, answers, completed: [] });
+    expect(Date.parse(journal.startedAt)).not.toBeNaN();
+  });
+
+  test('writeJournal should write into the project directory', () => {
+    fs.existsSync.mockReturnValue(true);
+    const journal = { ...createJournal(answers, projectDir), completed: ['clone'] };
+
+    expect(writeJournal(journal)).toBe(true);
+    expect(fs.writeFileSync).toHaveBeenCalledWith(file, expect.stringContaining('"clone"'));
+  });
+
+  test('writeJournal should do nothing before the project directory exists', () => {
+    fs.existsSync.mockReturnValue(false);
+
+    expect(writeJournal(createJournal(answers, projectDir))).toBe(false);
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+  });
+
+  test('readJournal should use the directory it was read from', () => {
+    fs.existsSync.mockReturnValue(true);
+    fs.readFileSync.mockReturnValue(JSON.stringify({
+      ...createJournal(answers, '/old/place'),
+      completed: ['clone', 'nuxt-config']
+    }));
+
+    const journal = readJournal(projectDir);
+
+    expect(journal.projectDir).toBe(projectDir);
+    expect(journal.completed).toEqual(['clone', 'nuxt-config']);
+  });
+
+  test('readJournal should explain when there is nothing to resume', () => {
+    fs.existsSync.mockReturnValue(false);
+
+    expect(() => readJournal(projectDir)).toThrow(`No ${JOURNAL_FILENAME} found in ${projectDir}`);
+  });
+
+  test('readJournal should reject files that are not a journal', () => {
+    fs.existsSync.mockReturnValue(true);
+    fs.readFileSync.mockReturnValue('{"name": "nuxt-template"}');
+
+    expect(() => readJournal(projectDir)).toThrow('is not a valid setup journal');
+  });
+
+  test('removeJournal should delete the file', () => {
+    removeJournal(createJournal(answers, projectDir));
+
+    expect(shell.rm).toHaveBeenCalledWith('-f', file);
+  });
+});
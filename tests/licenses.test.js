@@ -0,0 +1,34 @@
+const { licenseNames, licenseSpdx, renderLicense } = require('../lib/licenses');
+
+describe('Licenses', () => {
+  test('every license choice should have a LICENSE text with the holder filled in', () => {
+    for (const name of licenseNames()) {
+      const text = renderLicense(name, { year: 2024, holder: 'Room 302 Studio' });
+
+      expect(text).toContain('2024 Room 302 Studio');
+      expect(text).not.toMatch(/\{\{\w+\}\}/);
+    }
+  });
+
+  test('renderLicense should write a holder with $ patterns as typed', () => {
+    const text = renderLicense('mit', { year: 2024, holder: 'Cash $& Co $1 $$' });
+
+    expect(text).toContain('2024 Cash $& Co $1 $$');
+  });
+
+  test('licenseSpdx should give npm a value it accepts', () => {
+    expect(licenseNames().map(licenseSpdx)).toEqual([
+      'MIT',
+      'UNLICENSED',
+      'ECL-2.0',
+      'CC-BY-4.0',
+      'SEE LICENSE IN LICENSE'
+    ]);
+    expect(() => licenseSpdx('gpl')).toThrow('Unknown license "gpl"');
+  });
+
+  test('renderLicense should bundle the full license texts', () => {
+    expect(renderLicense('ecl-2.0', { holder: 'x' })).toContain('Educational Community License');
+    expect(renderLicense('CC-BY-4.0', { holder: 'x' })).toContain('Attribution 4.0 International Public License');
+  });
+});
@@ -0,0 +1,154 @@
+const fs = require('fs');
+
+jest.mock('fs');
+jest.mock('shelljs', () => ({
+  echo: jest.fn(),
+  exec: jest.fn()
+}));
+
+const shell = require('shelljs');
+const { createLogger, errorMessage } = require('../lib/logger');
+
+// Every JSON event printed so far
+const events = () => shell.echo.mock.calls.map(([line]) => JSON.parse(line));
+
+describe('Logger', () => {
+  let exec;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    exec = jest.fn(() => ({ code: 0, stdout: 'done\n', stderr: '' }));
+    shell.exec = exec;
+  });
+
+  describe('levels', () => {
+    test('should print info and up by default, and keep debug messages for the log', () => {
+      const logger = createLogger();
+
+      logger.debug('$ git init');
+      logger.info('🌱 Initializing fresh Git repository...');
+      logger.warn('⚠️  Careful');
+
+      expect(shell.echo.mock.calls).toEqual([['🌱 Initializing fresh Git repository...'], ['⚠️  Careful']]);
+      expect(logger.entries.map(({ level }) => level)).toEqual(['debug', 'info', 'warn']);
+    });
+
+    test('configure should follow --quiet and --verbose', () => {
+      const logger = createLogger();
+
+      logger.configure({ quiet: true });
+      logger.info('📦 Installing project dependencies...');
+      logger.error('🚨 Oops!');
+      expect(shell.echo.mock.calls).toEqual([['🚨 Oops!']]);
+
+      logger.configure({ verbose: true });
+      logger.debug('$ yarn install');
+      expect(shell.echo).toHaveBeenLastCalledWith('$ yarn install');
+
+      expect(() => logger.configure({ quiet: true, verbose: true })).toThrow('Use --quiet or --verbose, not both');
+    });
+
+    test('error should print what was thrown and keep its stack for the log', () => {
+      const logger = createLogger();
+      const error = new Error('EACCES: permission denied');
+
+      logger.error('🚨 Error occurred while updating package.json:', error);
+      logger.error('🚨 Error occurred while reading:', 'not an Error');
+
+      expect(shell.echo).toHaveBeenCalledWith('🚨 Error occurred while updating package.json: EACCES: permission denied');
+      expect(shell.echo).toHaveBeenCalledWith('🚨 Error occurred while reading: not an Error');
+      expect(logger.entries[1]).toMatchObject({ level: 'debug', message: error.stack });
+      expect(errorMessage(undefined)).toBe('undefined');
+    });
+  });
+
+  test('output should print text even with --quiet, and data with --json', () => {
+    const logger = createLogger({ level: 'warn' });
+
+    logger.output('client-work', { presets: ['client-work'] });
+    expect(shell.echo).toHaveBeenCalledWith('client-work');
+
+    shell.echo.mockClear();
+    logger.configure({ json: true });
+    logger.output('client-work', { presets: ['client-work'] });
+    expect(events()).toEqual([expect.objectContaining({ event: 'output', presets: ['client-work'] })]);
+  });
+
+  describe('step', () => {
+    const step = { id: 'install', title: 'Install dependencies' };
+
+    test('should emit an event when a step starts and when it ends, with its commands', async () => {
+      const logger = createLogger({ json: true });
+
+      const ok = await logger.step(step, async () => {
+        shell.exec('yarn install');
+        return true;
+      });
+
+      expect(ok).toBe(true);
+      const [started, ended] = events().filter(({ event }) => event === 'step');
+      expect(started).toMatchObject({ id: 'install', title: 'Install dependencies', status: 'start' });
+      expect(ended).toMatchObject({ id: 'install', status: 'success', commands: [{ command: 'yarn install', code: 0 }] });
+      expect(ended.duration).toEqual(expect.any(Number));
+      expect(ended.time).toEqual(expect.any(String));
+      expect(shell.exec).toBe(exec);
+    });
+
+    test('should report a failed step with its last error', async () => {
+      const logger = createLogger({ json: true });
+
+      await logger.step(step, async () => {
+        logger.error('🚨 Oops! yarn install failed 😿');
+        return false;
+      });
+
+      expect(events().pop()).toMatchObject({ event: 'step', status: 'failure', error: '🚨 Oops! yarn install failed 😿' });
+      expect(events()).toContainEqual(expect.objectContaining({ event: 'log', level: 'error', message: '🚨 Oops! yarn install failed 😿' }));
+    });
+
+    test('should send command output to the log instead of the terminal with --quiet and --json', async () => {
+      const logger = createLogger();
+
+      await logger.step(step, async () => shell.exec('yarn install'));
+      expect(exec).toHaveBeenLastCalledWith('yarn install');
+
+      logger.configure({ quiet: true });
+      await logger.step(step, async () => shell.exec('git push', { cwd: 'site' }));
+      expect(exec).toHaveBeenLastCalledWith('git push', { cwd: 'site', silent: true });
+
+      expect(logger.entries.map(({ message }) => message)).toContain('done');
+    });
+
+    test('should put shell.exec back when the step throws', async () => {
+      const logger = createLogger();
+
+      await expect(logger.step(step, async () => {
+        throw new Error('boom');
+      })).rejects.toThrow('boom');
+      expect(shell.exec).toBe(exec);
+    });
+
+    test('skipStep should emit a skipped event', () => {
+      const logger = createLogger({ json: true });
+
+      logger.skipStep({ id: 'push', title: 'Push to the remote' }, 'offline');
+
+      expect(events()).toEqual([expect.objectContaining({ event: 'step', id: 'push', status: 'skipped', reason: 'offline' })]);
+    });
+  });
+
+  test('writeLog should write every message, whatever the level', async () => {
+    const logger = createLogger({ level: 'error' });
+
+    await logger.step({ id: 'commit', title: 'Commit' }, async () => shell.exec('git commit -m "feat: begin project 🪴"'));
+    logger.info('✅ Changes pushed successfully!');
+    logger.writeLog('/work/room302-template-debug.log');
+
+    const [file, log] = fs.writeFileSync.mock.calls[0];
+    expect(file).toBe('/work/room302-template-debug.log');
+    expect(log).toMatch(/^\S+ DEBUG Step "Commit" started$/m);
+    expect(log).toMatch(/^\S+ DEBUG \$ git commit -m "feat: begin project 🪴" \(exit 0, \d+ms\)$/m);
+    expect(log).toMatch(/^\S+ INFO  ✅ Changes pushed successfully!$/m);
+    expect(shell.echo).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,101 @@
+const fs = require('fs');
+
+jest.mock('fs');
+
+const {
+  loadManifest,
+  matchesWhen,
+  manifestQuestions,
+  renderPlaceholders,
+  filesToDelete,
+  commandsToRun
+} = require('../lib/manifest');
+
+describe('Template Manifest', () => {
+  const manifestWith = (manifest) => {
+    fs.existsSync.mockReturnValue(true);
+    fs.readFileSync.mockReturnValue(JSON.stringify(manifest));
+    return loadManifest();
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('loadManifest should return null when the template has none', () => {
+    fs.existsSync.mockReturnValue(false);
+
+    expect(loadManifest()).toBeNull();
+  });
+
+  test('loadManifest should fill in empty sections', () => {
+    expect(manifestWith({ requiredFiles: ['app.vue'] })).toEqual({
+      requiredFiles: ['app.vue'],
+      questions: [],
+      placeholders: [],
+      deleteFiles: [],
+      postClone: []
+    });
+  });
+
+  test('loadManifest should reject invalid manifests with a clear message', () => {
+    expect(() => manifestWith({ placeholders: 'README.md' })).toThrow('"placeholders" in room302.json must be a list of strings');
+    expect(() => manifestWith({ questions: [{ name: 'use openai' }] })).toThrow('needs a "name"');
+    expect(() => manifestWith({ questions: [{ name: 'colors', type: 'checkbox' }] })).toThrow('unsupported type "checkbox"');
+    expect(() => manifestWith({ questions: [{ name: 'theme', type: 'list' }] })).toThrow('needs "choices"');
+    expect(() => manifestWith({ postClone: [{ command: 'npx nuxi prepare' }] })).toThrow('needs a "run" command');
+  });
+
+  test('loadManifest should report unparseable JSON', () => {
+    fs.existsSync.mockReturnValue(true);
+    fs.readFileSync.mockReturnValue('{');
+
+    expect(() => loadManifest()).toThrow('Could not parse the template\'s room302.json');
+  });
+
+  test('matchesWhen should compare values and lists of values', () => {
+    const answers = { uiFramework: 'tailwind', useOpenAi: false };
+
+    expect(matchesWhen(undefined, answers)).toBe(true);
+    expect(matchesWhen({ useOpenAi: false }, answers)).toBe(true);
+    expect(matchesWhen({ uiFramework: ['tailwind', 'none'], useOpenAi: false }, answers)).toBe(true);
+    expect(matchesWhen({ uiFramework: 'nuxt-ui' }, answers)).toBe(false);
+  });
+
+  test('manifestQuestions should turn `when` objects into functions', () => {
+    const [question] = manifestQuestions(manifestWith({
+      questions: [{ name: 'theme', type: 'list', choices: ['light', 'dark'], when: { uiFramework: 'nuxt-ui' } }]
+    }));
+
+    expect(question).toMatchObject({ type: 'list', name: 'theme', choices: ['light', 'dark'] });
+    expect(question.when({ uiFramework: 'nuxt-ui' })).toBe(true);
+    expect(question.when({ uiFramework: 'none' })).toBe(false);
+  });
+
+  test('renderPlaceholders should only replace known answers', () => {
+    const text = '<h1>{{projectName}}</h1><p>{{ message }}</p><p>{{ useOpenAi }}</p>';
+
+    expect(renderPlaceholders(text, { projectName: 'demo', useOpenAi: false })).toBe(
+      '<h1>demo</h1><p>{{ message }}</p><p>false</p>'
+    );
+  });
+
+  test('filesToDelete and commandsToRun should follow the answers', () => {
+    const manifest = manifestWith({
+      deleteFiles: [
+        { files: ['composables/useOpenAi.js'], when: { useOpenAi: false } },
+        { files: ['server/api/chat.ts'], when: { useOpenAi: true } }
+      ],
+      postClone: [
+        { run: 'npx nuxi prepare' },
+        { run: 'echo {{projectName}}', when: { useOpenAi: true } }
+      ]
+    });
+
+    expect(filesToDelete(manifest, { useOpenAi: false })).toEqual(['composables/useOpenAi.js']);
+    expect(commandsToRun(manifest, { projectName: 'demo', useOpenAi: true })).toEqual([
+      'npx nuxi prepare',
+      'echo demo'
+    ]);
+  });
+});
@@ -0,0 +1,141 @@
+const fs = require('fs');
+
+jest.mock('fs');
+
+const {
+  parseNuxtConfig,
+  editNuxtConfig,
+  addToList,
+  removeFromList,
+  setDefault,
+  setValue,
+  removeKey,
+  listValues,
+  getValue,
+  fromEnv
+} = require('../lib/nuxt-config');
+
+describe('Nuxt Config Editing', () => {
+  let written;
+  const edit = (code, change) => {
+    fs.readFileSync.mockReturnValue(code);
+    const changed = editNuxtConfig(change);
+    written = changed ? fs.writeFileSync.mock.calls[0][1] : code;
+    return changed;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    written = undefined;
+  });
+
+  test('parseNuxtConfig should accept defineNuxtConfig or a plain object', () => {
+    expect(parseNuxtConfig('export default defineNuxtConfig({ ssr: false })').config.ssr).toBe(false);
+    expect(parseNuxtConfig('export default { ssr: true }').config.ssr).toBe(true);
+  });
+
+  test('removeFromList should not care about quotes, spacing or trailing commas', () => {
+    const code = `export default defineNuxtConfig({
+  modules: [ "@nuxt/ui" , '@pinia/nuxt',
+  ],
+})
+`;
+
+    expect(edit(code, (config) => removeFromList(config, 'modules', '@nuxt/ui'))).toBe(true);
+    expect(written).not.toContain('@nuxt/ui');
+    expect(written).toContain('@pinia/nuxt');
+    expect(written.endsWith('\n')).toBe(true);
+  });
+
+  test('removeFromList should remove modules added with options', () => {
+    const code = "export default defineNuxtConfig({ modules: [['@nuxtjs/supabase', { redirect: false }], '@nuxt/ui'] })";
+
+    edit(code, (config) => removeFromList(config, 'modules', '@nuxtjs/supabase'));
+
+    expect(written).toBe("export default defineNuxtConfig({ modules: ['@nuxt/ui'] })");
+  });
+
+  test('addToList should create the list and keep the file\'s quote style', () => {
+    edit("export default defineNuxtConfig({\n  devtools: { enabled: true },\n})\n", (config) =>
+      addToList(config, 'css', '~/assets/css/tailwind.css')
+    );
+
+    expect(written).toContain("css: ['~/assets/css/tailwind.css']");
+  });
+
+  test('edits should be idempotent and leave an unchanged file alone', () => {
+    const code = 'export default defineNuxtConfig({ modules: ["@nuxt/ui"], css: ["~/assets/main.css"] })\n';
+
+    const changed = edit(code, (config) => {
+      addToList(config, 'modules', '@nuxt/ui');
+      addToList(config, 'css', '~/assets/main.css');
+      removeFromList(config, 'modules', '@nuxt/content');
+      setDefault(config, 'css', []);
+    });
+
+    expect(changed).toBe(false);
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+  });
+
+  test('setDefault should create nested runtimeConfig keys but keep existing values', () => {
+    edit("export default defineNuxtConfig({ runtimeConfig: { openaiApiKey: 'set' } })", (config) => {
+      setDefault(config, 'runtimeConfig.openaiApiKey', '');
+      setDefault(config, 'runtimeConfig.public.siteUrl', '');
+    });
+
+    expect(written).toContain("openaiApiKey: 'set'");
+    expect(written).toMatch(/public: \{\s*siteUrl: ''\s*\}/);
+  });
+
+  test('setValue should replace an existing value', () => {
+    edit("export default defineNuxtConfig({ nitro: { preset: 'node-server' } })", (config) =>
+      setValue(config, 'nitro.preset', 'netlify')
+    );
+
+    expect(written).toContain("preset: 'netlify'");
+    expect(edit(written, (config) => setValue(config, 'nitro.preset', 'netlify'))).toBe(false);
+  });
+
+  test('fromEnv and removeKey should add and drop runtimeConfig keys', () => {
+    edit("export default defineNuxtConfig({ runtimeConfig: { public: { siteUrl: '' } } })", (config) => {
+      setDefault(config, 'runtimeConfig.openaiApiKey', fromEnv('OPENAI_API_KEY'));
+      removeKey(config, 'runtimeConfig.public.siteUrl');
+      removeKey(config, 'runtimeConfig.missing.key');
+    });
+
+    expect(written).toContain('openaiApiKey: process.env.OPENAI_API_KEY');
+    expect(written).not.toContain('siteUrl');
+  });
+
+  test('listValues and getValue should read lists and keys that may not be there', () => {
+    const { config } = parseNuxtConfig(
+      "export default defineNuxtConfig({ modules: [['@nuxtjs/supabase', {}], '@nuxt/ui'], nitro: { preset: 'vercel' } })"
+    );
+
+    expect(listValues(config, 'modules')).toEqual(['@nuxtjs/supabase', '@nuxt/ui']);
+    expect(listValues(config, 'css')).toEqual([]);
+    expect(getValue(config, 'nitro.preset')).toBe('vercel');
+    expect(getValue(config, 'runtimeConfig.openaiApiKey')).toBeUndefined();
+  });
+
+  test('should explain configs whose shape it cannot understand', () => {
+    const failsWith = (code, change = () => {}) => {
+      fs.readFileSync.mockReturnValue(code);
+      return expect(() => editNuxtConfig(change));
+    };
+
+    failsWith('export default defineNuxtConfig({').toThrow(
+      /Can't update nuxt.config.ts automatically: it isn't valid TypeScript/
+    );
+    failsWith('const config = {}\nexport default defineNuxtConfig(config)').toThrow(
+      'expected `export default defineNuxtConfig({ ... })` with the options written inline'
+    );
+    failsWith('export default defineNuxtConfig({ modules: sharedModules })', (config) =>
+      addToList(config, 'modules', '@nuxt/ui')
+    ).toThrow('"modules" isn\'t an array literal. Please edit it by hand.');
+    failsWith('export default defineNuxtConfig({ runtimeConfig: getRuntimeConfig() })', (config) =>
+      setDefault(config, 'runtimeConfig.openaiApiKey', '')
+    ).toThrow('"runtimeConfig" isn\'t an object literal');
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+  });
+});
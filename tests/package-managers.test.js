@@ -0,0 +1,83 @@
+const fs = require('fs');
+
+jest.mock('fs');
+jest.mock('shelljs', () => ({
+  which: jest.fn()
+}));
+
+const shell = require('shelljs');
+const {
+  packageManagerNames,
+  pmCommand,
+  detectPackageManager,
+  mismatchedLockfiles
+} = require('../lib/package-managers');
+
+describe('Package Managers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.existsSync.mockReturnValue(false);
+    shell.which.mockReturnValue(null);
+  });
+
+  test('packageManagerNames should list every supported manager', () => {
+    expect(packageManagerNames().sort()).toEqual(['bun', 'npm', 'pnpm', 'yarn']);
+  });
+
+  test('pmCommand should build the same action for each manager', () => {
+    expect(pmCommand('yarn', 'addDev', 'tailwindcss')).toBe('yarn add -D tailwindcss');
+    expect(pmCommand('pnpm', 'addDev', 'tailwindcss')).toBe('pnpm add -D tailwindcss');
+    expect(pmCommand('bun', 'addDev', 'tailwindcss')).toBe('bun add -d tailwindcss');
+    expect(pmCommand('npm', 'addDev', 'tailwindcss')).toBe('npm install -D tailwindcss');
+    expect(pmCommand('npm', 'run', 'dev')).toBe('npm run dev');
+    expect(pmCommand('pnpm', 'install')).toBe('pnpm install');
+    expect(() => pmCommand('auto', 'install')).toThrow('Unknown package manager "auto"');
+  });
+
+  test('detectPackageManager should prefer the template\'s lockfile', () => {
+    fs.existsSync.mockImplementation((file) => file === 'pnpm-lock.yaml');
+    shell.which.mockReturnValue('/usr/local/bin/yarn');
+
+    expect(detectPackageManager()).toEqual({ name: 'pnpm', reason: 'found pnpm-lock.yaml' });
+  });
+
+  test('detectPackageManager should read the packageManager field next', () => {
+    fs.existsSync.mockImplementation((file) => file === 'package.json');
+    fs.readFileSync.mockReturnValue('{"packageManager": "bun@1.1.0"}');
+    shell.which.mockReturnValue('/usr/local/bin/bun');
+
+    expect(detectPackageManager()).toEqual({ name: 'bun', reason: 'package.json asks for bun@1.1.0' });
+  });
+
+  test('detectPackageManager should fall back to what is installed', () => {
+    shell.which.mockImplementation((name) => (name === 'npm' ? '/usr/bin/npm' : null));
+
+    expect(detectPackageManager()).toEqual({ name: 'npm', reason: 'npm is installed' });
+
+    shell.which.mockReturnValue(null);
+    expect(detectPackageManager()).toBeNull();
+  });
+
+  test('detectPackageManager should skip a lockfile whose manager is not installed', () => {
+    fs.existsSync.mockImplementation((file) => ['yarn.lock', 'package.json'].includes(file));
+    fs.readFileSync.mockReturnValue('{"packageManager": "pnpm@9.0.0"}');
+    shell.which.mockImplementation((name) => (name === 'pnpm' ? '/usr/bin/pnpm' : null));
+
+    expect(detectPackageManager()).toEqual({
+      name: 'pnpm',
+      reason: "found yarn.lock, but yarn isn't installed; package.json asks for pnpm@9.0.0"
+    });
+
+    shell.which.mockImplementation((name) => (name === 'npm' ? '/usr/bin/npm' : null));
+    expect(detectPackageManager()).toEqual({
+      name: 'npm',
+      reason: "found yarn.lock, but yarn isn't installed; package.json asks for pnpm@9.0.0, but pnpm isn't installed; npm is installed"
+    });
+  });
+
+  test('mismatchedLockfiles should list lockfiles of other managers only', () => {
+    fs.existsSync.mockImplementation((file) => ['yarn.lock', 'package-lock.json', 'pnpm-lock.yaml'].includes(file));
+
+    expect(mismatchedLockfiles('pnpm')).toEqual(['yarn.lock', 'package-lock.json']);
+  });
+});
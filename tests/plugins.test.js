@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('fs');
+
+const { PLUGINS_DIR, pluginSteps, pluginFiles, loadPlugins } = require('../lib/plugins');
+const { createPipeline } = require('../lib/steps');
+
+const homePlugins = path.join(os.homedir(), PLUGINS_DIR);
+const projectPlugins = path.join('/work', PLUGINS_DIR);
+
+jest.mock('/work/.room302/plugins/sentry.js', () => ({
+  id: 'sentry',
+  title: 'Add Sentry',
+  before: 'install',
+  prompts: [{ type: 'confirm', name: 'useSentry', default: false }],
+  when: (answers) => answers.useSentry,
+  run: () => true
+}), { virtual: true });
+
+jest.mock('/work/.room302/plugins/broken.js', () => {
+  throw new Error('Unexpected token');
+}, { virtual: true });
+
+describe('Plugins', () => {
+  const builtin = () => createPipeline([
+    { id: 'clone', title: 'Clone', run: () => true },
+    { id: 'install', title: 'Install', run: () => true }
+  ]);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('pluginSteps should accept a step, a list or { steps }', () => {
+    const step = { id: 'a' };
+
+    expect(pluginSteps(step)).toEqual([step]);
+    expect(pluginSteps([step])).toEqual([step]);
+    expect(pluginSteps({ steps: [step] })).toEqual([step]);
+  });
+
+  test('pluginFiles should list JavaScript files from the home and project folders', () => {
+    fs.existsSync.mockImplementation((dir) => dir === homePlugins || dir === projectPlugins);
+    fs.readdirSync.mockImplementation((dir) =>
+      dir === homePlugins ? ['notify.js', 'README.md'] : ['sentry.js', 'analytics.cjs']
+    );
+
+    expect(pluginFiles('/work')).toEqual([
+      path.join(homePlugins, 'notify.js'),
+      path.join(projectPlugins, 'analytics.cjs'),
+      path.join(projectPlugins, 'sentry.js')
+    ]);
+  });
+
+  test('loadPlugins should add steps from the plugins folder', () => {
+    fs.existsSync.mockImplementation((dir) => dir === projectPlugins);
+    fs.readdirSync.mockReturnValue(['sentry.js']);
+    const pipeline = builtin();
+
+    const loaded = loadPlugins(pipeline, { cwd: '/work' });
+
+    expect(loaded).toEqual([path.join(projectPlugins, 'sentry.js')]);
+    expect(pipeline.steps.map(({ id }) => id)).toEqual(['clone', 'sentry', 'install']);
+    expect(pipeline.questions().map(({ name }) => name)).toEqual(['useSentry']);
+  });
+
+  test('loadPlugins should name the plugin that failed to load', () => {
+    fs.existsSync.mockImplementation((dir) => dir === projectPlugins);
+    fs.readdirSync.mockReturnValue(['broken.js']);
+
+    expect(() => loadPlugins(builtin(), { cwd: '/work' })).toThrow(
+      `Plugin ${path.join(projectPlugins, 'broken.js')} failed to load: Unexpected token`
+    );
+  });
+
+  test('loadPlugins should explain how to install a missing package', () => {
+    fs.existsSync.mockReturnValue(false);
+
+    expect(() => loadPlugins(builtin(), { packages: ['room302-plugin-missing'], cwd: '/work' })).toThrow(
+      "Plugin room302-plugin-missing isn't installed. Install it with: npm install -g room302-plugin-missing"
+    );
+  });
+});
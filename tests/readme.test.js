@@ -0,0 +1,42 @@
+const { renderReadme, licenseBadge, projectMetadata } = require('../lib/readme');
+
+describe('README and Metadata', () => {
+  const answers = {
+    projectName: 'field-notes',
+    description: 'Notes from the field.',
+    packageManager: 'pnpm',
+    uiFramework: 'tailwind',
+    useContent: true,
+    supabase: 'local',
+    deployTarget: 'netlify',
+    license: 'mit'
+  };
+
+  test('renderReadme should describe the chosen stack and setup', () => {
+    const readme = renderReadme(answers);
+
+    expect(readme).toMatch(/^# field-notes\n\nNotes from the field\.\n\n\[!\[License: MIT\]/);
+    expect(readme).toContain('- [Tailwind CSS](https://tailwindcss.com)\n- [Nuxt Content]');
+    expect(readme).toContain('- Deployed to Netlify');
+    expect(readme).toContain('```bash\npnpm install\nsupabase start\npnpm dev\n```');
+    expect(readme).toContain('pnpm build');
+    expect(readme).not.toContain('OpenAI');
+    expect(readme.endsWith('see [LICENSE](LICENSE).\n')).toBe(true);
+  });
+
+  test('licenseBadge should escape the label for shields.io', () => {
+    expect(licenseBadge('ecl-2.0')).toContain('https://img.shields.io/badge/license-ECL--2.0-blue.svg');
+    expect(licenseBadge('UNLICENSED')).toContain('license-All%20rights%20reserved-blue.svg');
+  });
+
+  test('projectMetadata should link the repository and skip empty answers', () => {
+    expect(projectMetadata({ description: '', author: 'Ada', license: 'mit' }, 'https://github.com/acme/site')).toEqual({
+      author: 'Ada',
+      license: 'MIT',
+      repository: { type: 'git', url: 'git+https://github.com/acme/site.git' },
+      bugs: { url: 'https://github.com/acme/site/issues' },
+      homepage: 'https://github.com/acme/site#readme'
+    });
+    expect(projectMetadata({ homepage: 'https://site.example' })).toEqual({ homepage: 'https://site.example' });
+  });
+});
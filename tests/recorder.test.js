@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('fs');
+jest.mock('shelljs', () => ({
+  exec: jest.fn(),
+  mkdir: jest.fn(),
+  rm: jest.fn()
+}));
+
+const shell = require('shelljs');
+const { createRecorder, formatPlan } = require('../lib/recorder');
+
+describe('Dry Run Recorder', () => {
+  const stagingDir = process.cwd();
+  const targetDir = '/projects';
+  let recorder;
+  let originals;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    originals = {
+      exec: shell.exec,
+      writeFileSync: fs.writeFileSync,
+      readFileSync: fs.readFileSync,
+      existsSync: fs.existsSync
+    };
+    recorder = createRecorder({ stagingDir, targetDir });
+    recorder.install();
+  });
+
+  afterEach(() => {
+    recorder.restore();
+  });
+
+  test('should record commands instead of running them', () => {
+    const result = shell.exec('gh repo create demo --private');
+
+    expect(result.code).toBe(0);
+    expect(originals.exec).not.toHaveBeenCalled();
+    expect(recorder.steps).toEqual([
+      { type: 'exec', command: 'gh repo create demo --private', cwd: '.' }
+    ]);
+  });
+
+  test('should still run read-only commands', () => {
+    originals.exec.mockReturnValue({ code: 0, stdout: 'v20.18.1' });
+
+    expect(shell.exec('node -v', { silent: true }).stdout).toBe('v20.18.1');
+    expect(originals.exec).toHaveBeenCalledWith('node -v', { silent: true });
+    expect(recorder.steps).toEqual([]);
+  });
+
+  test('should leave a wrapper put over it in place when running read-only commands', () => {
+    originals.exec.mockImplementation(() => {
+      // shelljs reads and writes its temp files with the real fs functions
+      expect(fs.writeFileSync).toBe(originals.writeFileSync);
+      return { code: 0, stdout: 'v20.18.1' };
+    });
+    const wrapper = jest.fn((...args) => recorder.exec(...args));
+    shell.exec = wrapper;
+
+    shell.exec('node -v');
+    shell.exec('gh repo create demo --private');
+
+    expect(shell.exec).toBe(wrapper);
+    expect(wrapper).toHaveBeenCalledTimes(2);
+    expect(fs.writeFileSync).toBe(recorder.writeFileSync);
+    expect(recorder.steps).toEqual([
+      { type: 'exec', command: 'gh repo create demo --private', cwd: '.' }
+    ]);
+  });
+
+  test('should show staging paths as the target directory', () => {
+    shell.exec(`gh repo create demo --source=${path.join(stagingDir, 'demo')}`);
+
+    expect(recorder.steps[0].command).toBe(`gh repo create demo --source=${path.join(targetDir, 'demo')}`);
+  });
+
+  test('should show staging paths as the target directory in rm and mkdir too', () => {
+    shell.rm('-rf', path.join(stagingDir, 'demo/supabase'));
+    shell.rm('-f', [path.join(stagingDir, 'yarn.lock'), 'package-lock.json']);
+    shell.mkdir('-p', path.join(stagingDir, 'demo/.github'));
+
+    expect(recorder.steps.map((step) => step.command)).toEqual([
+      `rm -rf ${path.join(targetDir, 'demo/supabase')}`,
+      `rm -f ${path.join(targetDir, 'yarn.lock')} package-lock.json`,
+      `mkdir -p ${path.join(targetDir, 'demo/.github')}`
+    ]);
+  });
+
+  test('should record writes as diffs and serve them back on read', () => {
+    originals.existsSync.mockReturnValue(true);
+    originals.readFileSync.mockReturnValue('{\n  "name": "nuxt-template"\n}');
+
+    fs.writeFileSync('package.json', '{\n  "name": "demo"\n}');
+
+    expect(originals.writeFileSync).not.toHaveBeenCalled();
+    expect(fs.readFileSync('package.json', 'utf8')).toBe('{\n  "name": "demo"\n}');
+    expect(recorder.steps[0]).toMatchObject({ type: 'write', file: 'package.json', created: false });
+    expect(recorder.steps[0].diff).toContain('-  "name": "nuxt-template"');
+    expect(recorder.steps[0].diff).toContain('+  "name": "demo"');
+  });
+
+  test('should treat directories made during the run as existing', () => {
+    originals.existsSync.mockReturnValue(false);
+
+    shell.mkdir('-p', 'assets/css');
+    fs.writeFileSync('assets/css/tailwind.css', '@tailwind base;');
+
+    expect(fs.existsSync('assets/css')).toBe(true);
+    expect(recorder.steps.map((step) => step.type)).toEqual(['exec', 'write']);
+    expect(recorder.steps[1].created).toBe(true);
+  });
+
+  test('restore should put the real functions back', () => {
+    recorder.restore();
+
+    expect(shell.exec).toBe(originals.exec);
+    expect(fs.writeFileSync).toBe(originals.writeFileSync);
+  });
+
+  test('formatPlan should number commands and diffs in order', () => {
+    const plan = formatPlan([
+      { type: 'exec', command: 'gh repo clone room302studio/nuxt-template demo', cwd: '.' },
+      { type: 'write', file: 'demo/a.txt', created: true, diff: '====\n--- a/demo/a.txt\t\n+++ b/demo/a.txt\t\n@@ -0,0 +1 @@\n+hi\n' },
+      { type: 'write', file: 'demo/b.txt', unchanged: true, diff: '' },
+      { type: 'exec', command: 'git init', cwd: 'demo' }
+    ]);
+
+    expect(plan).toBe([
+      '1. $ gh repo clone room302studio/nuxt-template demo',
+      '2. create demo/a.txt',
+      '   --- a/demo/a.txt',
+      '   +++ b/demo/a.txt',
+      '   @@ -0,0 +1 @@',
+      '   +hi',
+      '3. rewrite demo/b.txt (no changes)',
+      '4. $ git init (in demo)'
+    ].join('\n'));
+  });
+
+  test('formatPlan should say when there is nothing to do', () => {
+    expect(formatPlan([])).toBe('Nothing would be done.');
+  });
+});
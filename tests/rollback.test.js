@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('fs');
+jest.mock('shelljs', () => ({
+  echo: jest.fn(),
+  rm: jest.fn()
+}));
+
+const shell = require('shelljs');
+const { createTransaction } = require('../lib/rollback');
+
+describe('Rollback Transaction', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('rollback should run undo actions newest first', async () => {
+    const order = [];
+    const transaction = createTransaction();
+    transaction.register('Delete the cloned directory', () => order.push('clone'));
+    transaction.register('Delete the GitHub repository', () => order.push('repo'));
+
+    const result = await transaction.rollback();
+
+    expect(result).toBe(true);
+    expect(order).toEqual(['repo', 'clone']);
+    expect(transaction.actions).toEqual([]);
+    expect(shell.echo).toHaveBeenCalledWith('↩️  Delete the GitHub repository...');
+  });
+
+  test('rollback should keep going when an undo action fails', async () => {
+    const undone = jest.fn();
+    const error = new Error('Mock error');
+    const transaction = createTransaction();
+    transaction.register('Delete the cloned directory', undone);
+    transaction.register('Delete the GitHub repository', () => { throw error; });
+    transaction.register('Something that reports failure', () => false);
+
+    const result = await transaction.rollback();
+
+    expect(result).toBe(false);
+    expect(undone).toHaveBeenCalled();
+    expect(shell.echo).toHaveBeenCalledWith('🚨 Could not undo "Delete the GitHub repository": Mock error');
+  });
+
+  test('snapshotFiles should restore edited files and remove new ones', async () => {
+    fs.existsSync.mockImplementation((file) => file.endsWith('package.json'));
+    fs.readFileSync.mockReturnValue('{"name": "nuxt-template"}');
+
+    const transaction = createTransaction();
+    transaction.snapshotFiles('Restore config files', ['package.json', 'postcss.config.js']);
+    await transaction.rollback();
+
+    expect(fs.writeFileSync).toHaveBeenCalledWith(path.resolve('package.json'), '{"name": "nuxt-template"}');
+    expect(shell.rm).toHaveBeenCalledWith('-f', path.resolve('postcss.config.js'));
+  });
+});
@@ -0,0 +1,60 @@
+const { createPipeline, validateStep } = require('../lib/steps');
+
+describe('Setup Pipeline', () => {
+  const step = (id, extra = {}) => ({ id, title: `Step ${id}`, run: jest.fn(), ...extra });
+
+  test('createPipeline should keep the steps in order and tag where they came from', () => {
+    const pipeline = createPipeline([step('clone'), step('install')]);
+
+    expect(pipeline.steps.map(({ id }) => id)).toEqual(['clone', 'install']);
+    expect(pipeline.steps[0].source).toBe('built-in');
+  });
+
+  test('add should place steps before or after another step', () => {
+    const pipeline = createPipeline([step('clone'), step('install'), step('editor')]);
+
+    pipeline.add(step('supabase', { before: 'install' }), 'Plugin supabase');
+    pipeline.add(step('netlify', { after: 'install' }), 'Plugin netlify');
+    pipeline.add(step('notify'), 'Plugin notify');
+
+    expect(pipeline.steps.map(({ id }) => id)).toEqual([
+      'clone', 'supabase', 'install', 'netlify', 'editor', 'notify'
+    ]);
+  });
+
+  test('add should reject a step next to one that does not exist', () => {
+    const pipeline = createPipeline([step('clone')]);
+
+    expect(() => pipeline.add(step('deploy', { after: 'push' }), 'Plugin deploy')).toThrow(
+      'Plugin deploy: step "deploy" wants to run next to "push", which doesn\'t exist'
+    );
+  });
+
+  test('add should reject duplicate ids and prompts', () => {
+    const pipeline = createPipeline([step('clone', { prompts: [{ type: 'input', name: 'projectName' }] })]);
+
+    expect(() => pipeline.add(step('clone'), 'Plugin a')).toThrow('already a step with the id "clone"');
+    expect(() => pipeline.add(step('rename', { prompts: [{ type: 'input', name: 'projectName' }] }), 'Plugin b'))
+      .toThrow('asks "projectName", which another step already asks');
+  });
+
+  test('questions should collect every step\'s prompts in order', () => {
+    const pipeline = createPipeline([
+      step('clone', { prompts: [{ type: 'input', name: 'projectName' }] }),
+      step('install')
+    ]);
+    pipeline.add(step('sentry', { prompts: [{ type: 'confirm', name: 'useSentry' }], before: 'install' }));
+
+    expect(pipeline.questions().map(({ name }) => name)).toEqual(['projectName', 'useSentry']);
+  });
+
+  test('validateStep should explain what a step is missing', () => {
+    expect(() => validateStep(undefined, 'Plugin x')).toThrow('Plugin x: a step must be an object');
+    expect(() => validateStep({ id: 'has space', title: 'T', run() {} })).toThrow('step id "has space"');
+    expect(() => validateStep({ id: 'deploy', run() {} })).toThrow('step "deploy" needs a "title"');
+    expect(() => validateStep({ id: 'deploy', title: 'Deploy' })).toThrow('needs a run(ctx) function');
+    expect(() => validateStep(step('deploy', { when: true }))).toThrow('"when" must be a function');
+    expect(() => validateStep(step('deploy', { before: 'a', after: 'b' }))).toThrow('both "before" and "after"');
+    expect(() => validateStep(step('deploy', { prompts: [{ type: 'input' }] }))).toThrow('prompts[0] needs a "name"');
+  });
+});
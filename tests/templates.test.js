@@ -0,0 +1,209 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('fs');
+jest.mock('shelljs', () => ({
+  exec: jest.fn(),
+  echo: jest.fn(),
+  cp: jest.fn(),
+  error: jest.fn(),
+  which: jest.fn()
+}));
+jest.mock('../lib/cache');
+
+const shell = require('shelljs');
+const cache = require('../lib/cache');
+const {
+  TEMPLATES,
+  registerTemplates,
+  templateChoices,
+  parseTemplateSource,
+  absoluteTemplatePath,
+  fetchTemplate,
+  requiredFiles
+} = require('../lib/templates');
+
+describe('Template Sources', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.existsSync.mockReturnValue(true);
+    shell.which.mockReturnValue('/usr/local/bin/gh');
+  });
+
+  describe('parseTemplateSource', () => {
+    test('should resolve registry names with their required files', () => {
+      expect(parseTemplateSource('nuxt')).toMatchObject({
+        type: 'github',
+        name: 'nuxt',
+        repo: 'room302studio/nuxt-template',
+        ref: null,
+        requiredFiles: ['tailwind.config.js', 'app.vue']
+      });
+    });
+
+    test('should parse owner/repo with an optional ref', () => {
+      expect(parseTemplateSource('acme/site-template')).toMatchObject({
+        type: 'github', repo: 'acme/site-template', ref: null, url: 'https://github.com/acme/site-template'
+      });
+      expect(parseTemplateSource('acme/site-template#v2.1.0')).toMatchObject({
+        type: 'github', repo: 'acme/site-template', ref: 'v2.1.0'
+      });
+    });
+
+    test('should parse git URLs with an optional ref', () => {
+      expect(parseTemplateSource('https://gitlab.com/acme/site.git#main')).toMatchObject({
+        type: 'git', url: 'https://gitlab.com/acme/site.git', ref: 'main'
+      });
+      expect(parseTemplateSource('git@github.com:acme/site.git')).toMatchObject({
+        type: 'git', url: 'git@github.com:acme/site.git', ref: null
+      });
+    });
+
+    test('should parse explicit local paths', () => {
+      expect(parseTemplateSource('./my-template')).toMatchObject({
+        type: 'local', path: path.resolve('my-template')
+      });
+      expect(parseTemplateSource('~/templates/site')).toMatchObject({
+        type: 'local', path: path.join(os.homedir(), 'templates/site')
+      });
+    });
+
+    test('absoluteTemplatePath should only change local paths', () => {
+      expect(absoluteTemplatePath('./my-template')).toBe(path.resolve('my-template'));
+      expect(absoluteTemplatePath('~/templates/site')).toBe(path.join(os.homedir(), 'templates/site'));
+      expect(absoluteTemplatePath('nuxt')).toBe('nuxt');
+      expect(absoluteTemplatePath('acme/site#v2')).toBe('acme/site#v2');
+      expect(absoluteTemplatePath('https://gitlab.com/acme/site.git')).toBe('https://gitlab.com/acme/site.git');
+    });
+
+    test('should fail for a missing local directory', () => {
+      fs.existsSync.mockReturnValue(false);
+
+      expect(() => parseTemplateSource('../nope')).toThrow('does not exist');
+    });
+
+    test('should explain the accepted formats for anything else', () => {
+      expect(() => parseTemplateSource('not a template')).toThrow(
+        'Unknown template "not a template". Use one of nuxt, nuxt-supabase, landing'
+      );
+    });
+  });
+
+  describe('registry', () => {
+    afterEach(() => {
+      delete TEMPLATES.client;
+    });
+
+    test('registerTemplates should add named templates to the choices', () => {
+      registerTemplates({ client: { source: 'acme/client-template', description: 'Client sites' } });
+
+      expect(templateChoices()).toContainEqual({ name: 'client (Client sites)', value: 'client' });
+      expect(parseTemplateSource('client')).toMatchObject({ repo: 'acme/client-template', requiredFiles: [] });
+    });
+
+    test('registerTemplates should require a source', () => {
+      expect(() => registerTemplates({ client: { description: 'Client sites' } })).toThrow(
+        'Template "client" needs a "source"'
+      );
+    });
+  });
+
+  describe('fetchTemplate', () => {
+    test('should clone from GitHub and check out the ref', () => {
+      shell.exec.mockReturnValue({ code: 0 });
+
+      expect(fetchTemplate(parseTemplateSource('acme/site#v2'), 'demo')).toBe(true);
+      expect(shell.exec.mock.calls.map((call) => call[0])).toEqual([
+        'gh repo view acme/site --json name,html_url',
+        'gh repo clone acme/site demo',
+        'git -C demo checkout --quiet v2'
+      ]);
+      expect(cache.saveToCache).toHaveBeenCalledWith(expect.objectContaining({ repo: 'acme/site', ref: 'v2' }), 'demo');
+    });
+
+    test('should clone from GitHub with git when gh is not installed', () => {
+      shell.exec.mockReturnValue({ code: 0 });
+      shell.which.mockReturnValue(null);
+
+      expect(fetchTemplate(parseTemplateSource('acme/site#v2'), 'demo')).toBe(true);
+      expect(shell.exec.mock.calls.map((call) => call[0])).toEqual([
+        'git clone https://github.com/acme/site.git demo',
+        'git -C demo checkout --quiet v2'
+      ]);
+    });
+
+    test('should not cache when asked not to', () => {
+      shell.exec.mockReturnValue({ code: 0 });
+
+      expect(fetchTemplate(parseTemplateSource('acme/site'), 'demo', { cache: false })).toBe(true);
+      expect(cache.saveToCache).not.toHaveBeenCalled();
+    });
+
+    test('should use the cached copy offline without touching the network', () => {
+      cache.restoreFromCache.mockReturnValue(true);
+
+      expect(fetchTemplate(parseTemplateSource('acme/site#v2'), 'demo', { offline: true })).toBe(true);
+      expect(cache.restoreFromCache).toHaveBeenCalledWith(expect.objectContaining({ repo: 'acme/site' }), 'demo');
+      expect(shell.exec).not.toHaveBeenCalled();
+    });
+
+    test('should point to --offline when a failed clone is cached', () => {
+      shell.exec.mockReturnValue({ code: 1 });
+      cache.isCached.mockReturnValue(true);
+
+      expect(fetchTemplate(parseTemplateSource('acme/site'), 'demo')).toBe(false);
+      expect(shell.echo).toHaveBeenCalledWith(expect.stringContaining('--offline'));
+      expect(cache.saveToCache).not.toHaveBeenCalled();
+    });
+
+    test('should report a ref that does not exist', () => {
+      shell.exec
+        .mockReturnValueOnce({ code: 0 }) // clone
+        .mockReturnValueOnce({ code: 1 }); // checkout
+
+      expect(fetchTemplate(parseTemplateSource('https://example.com/site.git#nope'), 'demo')).toBe(false);
+      expect(shell.exec).toHaveBeenCalledWith('git clone https://example.com/site.git demo', { silent: true });
+      expect(shell.echo).toHaveBeenCalledWith(expect.stringContaining('Couldn\'t find "nope"'));
+    });
+
+    test('should copy a local template without git or build folders', () => {
+      fs.readdirSync.mockReturnValue(['.git', 'node_modules', 'app.vue', 'nuxt.config.ts']);
+
+      expect(fetchTemplate(parseTemplateSource('/templates/site'), 'demo')).toBe(true);
+      expect(fs.mkdirSync).toHaveBeenCalledWith('demo', { recursive: true });
+      expect(shell.cp).toHaveBeenCalledWith(
+        '-R',
+        [path.join('/templates/site', 'app.vue'), path.join('/templates/site', 'nuxt.config.ts')],
+        'demo'
+      );
+      expect(cache.saveToCache).not.toHaveBeenCalled();
+    });
+
+    test('should copy local templates even offline', () => {
+      fs.readdirSync.mockReturnValue(['app.vue']);
+
+      expect(fetchTemplate(parseTemplateSource('/templates/site'), 'demo', { offline: true })).toBe(true);
+      expect(cache.restoreFromCache).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requiredFiles', () => {
+    test('should combine the CLI files with the registry entry', () => {
+      fs.existsSync.mockReturnValue(false);
+
+      expect(requiredFiles(parseTemplateSource('nuxt'))).toEqual([
+        'nuxt.config.ts', 'package.json', 'tailwind.config.js', 'app.vue'
+      ]);
+    });
+
+    test('should prefer the list in the template\'s room302.json', () => {
+      fs.existsSync.mockImplementation((file) => file === 'room302.json');
+      fs.readFileSync.mockReturnValue(JSON.stringify({ requiredFiles: ['app.vue', 'content/index.md'] }));
+
+      expect(requiredFiles(parseTemplateSource('nuxt'))).toEqual([
+        'nuxt.config.ts', 'package.json', 'app.vue', 'content/index.md'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const fs = require('fs');
+
+jest.mock('fs');
+jest.mock('shelljs', () => ({
+  exec: jest.fn()
+}));
+
+const shell = require('shelljs');
+const {
+  templateSha,
+  readTemplateRecord,
+  writeTemplateRecord,
+  templateChanges,
+  mergeTemplateChanges,
+  formatSummary
+} = require('../lib/update');
+
+describe('Update', () => {
+  let files;
+
+  // The project's files, the template's now, and the template's at the recorded commit
+  const mockFiles = ({ project = {}, now = {}, then = {} }) => {
+    files = {
+      ...Object.fromEntries(Object.entries(project).map(([file, contents]) => [`project/${file}`, contents])),
+      ...Object.fromEntries(Object.entries(now).map(([file, contents]) => [`template/${file}`, contents]))
+    };
+    shell.exec.mockImplementation((command) => {
+      const show = command.match(/show '\w+:(.+)' > '(.+)'$/);
+      if (show) {
+        files[show[2]] = then[show[1]];
+        return { code: 0 };
+      }
+      if (command.startsWith('git merge-file')) {
+        return { code: 1, stdout: '<<<<<<< project\nmerged\n>>>>>>> template now\n' };
+      }
+      return { code: 0, stdout: '' };
+    });
+  };
+  const merge = (changes, options = {}) =>
+    mergeTemplateChanges('template', 'abc1234def', changes, { projectDir: 'project', ...options });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.mkdtempSync.mockReturnValue('scratch');
+    fs.existsSync.mockImplementation((file) => files[file] !== undefined);
+    fs.readFileSync.mockImplementation((file) => Buffer.from(files[file]));
+    fs.writeFileSync.mockImplementation((file, contents) => {
+      files[file] = String(contents);
+    });
+    fs.copyFileSync.mockImplementation((from, to) => {
+      files[to] = files[from];
+    });
+    fs.unlinkSync.mockImplementation((file) => {
+      delete files[file];
+    });
+  });
+
+  describe('Template record', () => {
+    test('templateSha should read the commit, or null outside a git repository', () => {
+      shell.exec.mockReturnValueOnce({ code: 0, stdout: 'abc1234def\n' });
+      expect(templateSha()).toBe('abc1234def');
+      expect(shell.exec).toHaveBeenCalledWith('git rev-parse HEAD', { silent: true });
+
+      shell.exec.mockReturnValueOnce({ code: 128, stdout: '' });
+      expect(templateSha('/tmp/template')).toBeNull();
+      expect(shell.exec).toHaveBeenCalledWith('git -C /tmp/template rev-parse HEAD', { silent: true });
+    });
+
+    test('should write the record and read it back', () => {
+      files = {};
+      writeTemplateRecord({ source: 'acme/site-template', sha: 'abc1234def' });
+
+      expect(files['.room302-template.json']).toBe(
+        '{\n  "template": null,\n  "source": "acme/site-template",\n  "sha": "abc1234def"\n}\n'
+      );
+      expect(readTemplateRecord()).toEqual({ template: null, source: 'acme/site-template', sha: 'abc1234def' });
+    });
+
+    test('readTemplateRecord should explain a missing or broken record', () => {
+      files = {};
+      expect(() => readTemplateRecord()).toThrow("There's no .room302-template.json here");
+
+      files = { '.room302-template.json': '{"sha": "abc1234def"}' };
+      expect(() => readTemplateRecord()).toThrow("doesn't say which template");
+    });
+  });
+
+  describe('templateChanges', () => {
+    test('should list the changed files and mark binary ones', () => {
+      shell.exec.mockImplementation((command) => {
+        if (command.includes('--numstat')) return { code: 0, stdout: '3\t1\tapp.vue\n-\t-\tpublic/logo.png\n' };
+        if (command.includes('--name-status')) return { code: 0, stdout: 'M\tapp.vue\nA\tpublic/logo.png\nD\told.js\n' };
+        return { code: 0, stdout: '' };
+      });
+
+      expect(templateChanges('template', 'abc1234def')).toEqual([
+        { status: 'M', file: 'app.vue', binary: false },
+        { status: 'A', file: 'public/logo.png', binary: true },
+        { status: 'D', file: 'old.js', binary: false }
+      ]);
+      expect(shell.exec).toHaveBeenCalledWith('git -C template diff --name-status --no-renames abc1234def HEAD', { silent: true });
+    });
+
+    test('should fail when the template no longer has the recorded commit', () => {
+      shell.exec.mockReturnValue({ code: 128, stderr: 'fatal: Not a valid object name\n' });
+
+      expect(() => templateChanges('template', 'abc1234def')).toThrow(
+        'git cat-file failed in the template: fatal: Not a valid object name'
+      );
+    });
+  });
+
+  describe('mergeTemplateChanges', () => {
+    test('should take the template change for files the project never touched', () => {
+      mockFiles({
+        project: { 'app.vue': 'old', 'old.js': 'gone' },
+        now: { 'app.vue': 'new', 'pages/about.vue': 'about' },
+        then: { 'app.vue': 'old', 'old.js': 'gone' }
+      });
+
+      const results = merge([
+        { status: 'M', file: 'app.vue' },
+        { status: 'A', file: 'pages/about.vue' },
+        { status: 'D', file: 'old.js' }
+      ]);
+
+      expect(results.map(({ outcome }) => outcome)).toEqual(['updated', 'added', 'deleted']);
+      expect(files['project/app.vue']).toBe('new');
+      expect(files['project/pages/about.vue']).toBe('about');
+      expect(files['project/old.js']).toBeUndefined();
+      expect(fs.rmSync).toHaveBeenCalledWith('scratch', { recursive: true, force: true });
+    });
+
+    test('should merge three ways when both sides changed a file', () => {
+      mockFiles({ project: { 'app.vue': 'ours' }, now: { 'app.vue': 'theirs' }, then: { 'app.vue': 'base' } });
+
+      const [result] = merge([{ status: 'M', file: 'app.vue' }]);
+
+      expect(shell.exec).toHaveBeenCalledWith(
+        "git merge-file -p -L 'project' -L 'template abc1234' -L 'template now' 'project/app.vue' 'scratch/0' 'template/app.vue'",
+        { silent: true }
+      );
+      expect(result).toEqual({ file: 'app.vue', outcome: 'conflict', reason: 'conflict markers left in it' });
+      expect(files['project/app.vue']).toContain('<<<<<<< project');
+    });
+
+    test('should keep the project file when it cannot be merged', () => {
+      mockFiles({
+        project: { 'logo.png': 'ours', 'old.js': 'changed here' },
+        now: { 'logo.png': 'theirs' },
+        then: { 'logo.png': 'base', 'old.js': 'gone' }
+      });
+
+      const results = merge([
+        { status: 'M', file: 'logo.png', binary: true },
+        { status: 'D', file: 'old.js' },
+        { status: 'M', file: 'removed.vue' }
+      ]);
+
+      expect(results.map(({ outcome }) => outcome)).toEqual(['conflict', 'conflict', 'skipped']);
+      expect(files['project/logo.png']).toBe('ours');
+      expect(files['project/old.js']).toBe('changed here');
+      expect(shell.exec).not.toHaveBeenCalledWith(expect.stringContaining('merge-file'), expect.any(Object));
+    });
+
+    test('should change nothing in a dry run', () => {
+      mockFiles({ project: { 'app.vue': 'old' }, now: { 'app.vue': 'new', 'new.vue': 'new' }, then: { 'app.vue': 'old' } });
+
+      const results = merge([{ status: 'M', file: 'app.vue' }, { status: 'A', file: 'new.vue' }], { dryRun: true });
+
+      expect(results.map(({ outcome }) => outcome)).toEqual(['updated', 'added']);
+      expect(files['project/app.vue']).toBe('old');
+      expect(files['project/new.vue']).toBeUndefined();
+    });
+  });
+
+  test('formatSummary should list conflicts first and leave out unchanged files', () => {
+    expect(formatSummary([
+      { file: 'README.md', outcome: 'updated' },
+      { file: 'app.vue', outcome: 'conflict', reason: 'conflict markers left in it' },
+      { file: 'pages/index.vue', outcome: 'unchanged' }
+    ])).toBe('⚠️  conflict app.vue (conflict markers left in it)\n✅ updated  README.md');
+  });
+});